@@ -0,0 +1,281 @@
+/**
+ * AnomCAT v1.01 - Alert Rules
+ * User-defined alerts on the balance, ROI, drawdown and the BTC/EUR rate
+ *
+ * A rule compares one metric with a threshold:
+ * - balance: total value in BTC
+ * - roi: return on the BTC deposited, in percent (see AnomCAT.getROI)
+ * - drawdown: percent of the CAT account below the peak the risk limits use
+ * - price: percent change of the BTC/EUR rate over a time window; the
+ *   rate is the market price, anchored to the rate feed (see
+ *   AnomCAT.anchorMarket)
+ *
+ * Rules are checked on every update of the portfolio (see
+ * AnomCAT.updatePortfolio) and whenever new exchange rates arrive. A rule
+ * fires when its condition becomes true, not while it stays true: after
+ * firing it waits until the condition has been false again. A rule that
+ * comes true during its cooldown fires once the cooldown is over, if it
+ * still holds. One-shot rules turn themselves off after firing. Alerts
+ * arrive as notifications (see assets/js/notifications.js); each rule
+ * keeps the times and values it fired at.
+ *
+ * @module AnomCAT/alerts
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const ALERT_METRICS = {
+    balance: { name: 'Balance', conditions: ['above', 'below'] },
+    roi: { name: 'ROI', conditions: ['above', 'below'] },
+    drawdown: { name: 'Drawdown from peak', conditions: ['above'] },
+    price: { name: 'BTC/EUR', conditions: ['up', 'down', 'either'] }
+};
+const ALERT_CONDITIONS = {
+    above: 'rises above',
+    below: 'falls below',
+    up: 'rises by',
+    down: 'falls by',
+    either: 'moves by'
+};
+const ALERT_WINDOWS = { // Price rules
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000
+};
+const ALERT_COOLDOWNS = {
+    '5m': 5 * 60 * 1000,
+    '15m': 15 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '4h': 4 * 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000
+};
+const DEFAULT_ALERT_WINDOW = '1h';
+const DEFAULT_ALERT_COOLDOWN = '1h';
+const ALERT_HISTORY_LIMIT = 20; // Firings kept per rule
+const ALERT_RATE_RESOLUTION_MS = 60 * 1000; // One BTC/EUR sample a minute
+
+// ============================================
+// Metrics
+// ============================================
+/**
+ * Current value of a rule's metric, or null when it cannot be measured
+ * yet (no deposit, or not enough rate history for a price window).
+ */
+AnomCAT.getAlertValue = function(rule, time = Date.now()) {
+    const portfolio = this.portfolio;
+
+    switch (rule.metric) {
+        case 'balance':
+            return portfolio.btcBalance;
+        case 'roi':
+            return portfolio.initialBtc > 0 ? this.getROI() : null;
+        case 'drawdown': {
+            const cat = portfolio.cat;
+            const peak = Math.max(cat.peakBtc || 0, cat.btcBalance);
+            return peak > 0 ? (peak - cat.btcBalance) / peak * 100 : null;
+        }
+        case 'price': {
+            // The last sample from before the window started
+            const from = time - ALERT_WINDOWS[rule.window];
+            const samples = this.notifications.rateSamples;
+            let start = null;
+            for (let i = samples.length - 1; i >= 0; i--) {
+                if (samples[i].time <= from) {
+                    start = samples[i];
+                    break;
+                }
+            }
+            return start ? (this.btcToEurRate - start.price) / start.price * 100 : null;
+        }
+        default:
+            return null;
+    }
+};
+
+AnomCAT.isAlertConditionMet = function(rule, value) {
+    switch (rule.condition) {
+        case 'above': return value > rule.threshold;
+        case 'below': return value < rule.threshold;
+        case 'up': return value >= rule.threshold;
+        case 'down': return value <= -rule.threshold;
+        case 'either': return Math.abs(value) >= rule.threshold;
+        default: return false;
+    }
+};
+
+// Keep the BTC/EUR rate history the longest price window needs
+AnomCAT.recordRateSample = function(time, price) {
+    const samples = this.notifications.rateSamples;
+    const last = samples[samples.length - 1];
+    if (last && time - last.time < ALERT_RATE_RESOLUTION_MS) {
+        last.price = price;
+    } else {
+        samples.push({ time: time, price: price });
+    }
+
+    // One sample older than the window is needed to measure it
+    const keepFrom = time - Math.max(...Object.values(ALERT_WINDOWS));
+    while (samples.length > 1 && samples[1].time <= keepFrom) {
+        samples.shift();
+    }
+};
+
+// ============================================
+// Rules
+// ============================================
+/**
+ * Add an alert rule.
+ * @param {{metric: string, condition: string, threshold: number, window: (string|undefined),
+ *   cooldown: string, repeat: boolean}} params - `window` and `cooldown` are keys of
+ *   ALERT_WINDOWS and ALERT_COOLDOWNS; thresholds are in BTC for the balance and in
+ *   percent otherwise
+ * @returns {{success: boolean, error: (string|undefined), rule: (Object|undefined)}}
+ */
+AnomCAT.addAlertRule = function(params) {
+    const metric = ALERT_METRICS[params.metric];
+    const threshold = parseFloat(params.threshold);
+
+    if (!metric) {
+        return { success: false, error: 'Choose what the alert watches' };
+    }
+    if (!metric.conditions.includes(params.condition)) {
+        return { success: false, error: 'Choose a condition for ' + metric.name };
+    }
+    if (isNaN(threshold) || (params.metric !== 'roi' && threshold <= 0)) {
+        return { success: false, error: 'Please enter a valid threshold' };
+    }
+    if (!ALERT_COOLDOWNS[params.cooldown]) {
+        return { success: false, error: 'Choose a cooldown' };
+    }
+    if (params.metric === 'price' && !ALERT_WINDOWS[params.window]) {
+        return { success: false, error: 'Choose a time window' };
+    }
+
+    const now = Date.now();
+    const rule = {
+        id: 'alr-' + now.toString(36) + '-' + crypto.getRandomValues(new Uint32Array(1))[0].toString(36),
+        metric: params.metric,
+        condition: params.condition,
+        threshold: threshold,
+        window: params.metric === 'price' ? params.window : null,
+        cooldown: params.cooldown,
+        repeat: !!params.repeat,
+        enabled: true,
+        armed: true,
+        createdAt: now,
+        lastFiredAt: null,
+        history: []
+    };
+    this.armAlertRule(rule, now);
+    this.notifications.rules.push(rule);
+    this.saveToStorage();
+
+    return { success: true, rule: rule };
+};
+
+// A rule that is already true when it is turned on waits for the next time
+// it becomes true
+AnomCAT.armAlertRule = function(rule, time) {
+    const value = this.getAlertValue(rule, time);
+    rule.armed = value === null || !this.isAlertConditionMet(rule, value);
+};
+
+AnomCAT.removeAlertRule = function(id) {
+    this.notifications.rules = this.notifications.rules.filter(rule => rule.id !== id);
+    this.saveToStorage();
+};
+
+AnomCAT.setAlertRuleEnabled = function(id, enabled) {
+    const rule = this.notifications.rules.find(r => r.id === id);
+    if (!rule) return false;
+
+    rule.enabled = enabled;
+    if (enabled) {
+        this.armAlertRule(rule, Date.now());
+    }
+    this.saveToStorage();
+    return true;
+};
+
+// e.g. "Balance rises above 1.10000000 BTC" or "BTC/EUR moves by 3% in 1h"
+AnomCAT.describeAlertRule = function(rule) {
+    const text = ALERT_METRICS[rule.metric].name + ' ' + ALERT_CONDITIONS[rule.condition] + ' ' +
+        this.formatAlertValue(rule.metric, rule.threshold);
+    return rule.metric === 'price' ? text + ' in ' + rule.window : text;
+};
+
+AnomCAT.formatAlertValue = function(metric, value) {
+    if (metric === 'balance') return this.formatBTC(value);
+    return +value.toFixed(2) + '%';
+};
+
+// ============================================
+// Evaluation
+// ============================================
+/**
+ * Check the enabled rules and fire those whose condition became true.
+ * @returns {number} The number of alerts fired
+ */
+AnomCAT.checkAlerts = function(time = Date.now()) {
+    let fired = 0;
+    let changed = false;
+
+    this.notifications.rules.forEach(rule => {
+        if (!rule.enabled) return;
+        const value = this.getAlertValue(rule, time);
+        if (value === null) return;
+
+        if (!this.isAlertConditionMet(rule, value)) {
+            changed = changed || !rule.armed;
+            rule.armed = true;
+            return;
+        }
+        if (!rule.armed) return;
+        if (rule.lastFiredAt && time - rule.lastFiredAt < ALERT_COOLDOWNS[rule.cooldown]) return;
+
+        this.fireAlert(rule, value, time);
+        fired++;
+        changed = true;
+    });
+
+    if (changed) {
+        this.saveToStorage();
+    }
+    return fired;
+};
+
+AnomCAT.fireAlert = function(rule, value, time) {
+    rule.armed = false;
+    rule.lastFiredAt = time;
+    rule.history.unshift({ time: time, value: value });
+    if (rule.history.length > ALERT_HISTORY_LIMIT) {
+        rule.history.length = ALERT_HISTORY_LIMIT;
+    }
+    if (!rule.repeat) {
+        rule.enabled = false;
+    }
+
+    this.notify('warning', 'Alert: ' + this.describeAlertRule(rule),
+        ALERT_METRICS[rule.metric].name + ' is ' + this.formatAlertValue(rule.metric, value) +
+        (rule.metric === 'price' ? ' over ' + rule.window : ''),
+        { time: time, link: 'settings.html' });
+    window.dispatchEvent(new CustomEvent('alertFired', { detail: { rule: rule, value: value } }));
+};
+
+// ============================================
+// Listeners
+// ============================================
+window.addEventListener('ratesChanged', () => {
+    // Rates cached from the last visit can arrive before saved state
+    if (!AnomCAT.storageLoaded) return;
+
+    const now = Date.now();
+    AnomCAT.recordRateSample(now, AnomCAT.btcToEurRate);
+    AnomCAT.checkAlerts(now);
+});
+
+// Time replayed by catchUp() is checked once, at the end
+window.addEventListener('caughtUp', () => AnomCAT.checkAlerts());
@@ -15,9 +15,124 @@
 // ============================================
 const DAYS_PER_MONTH = 30.436875; // Average days per month (365.2425/12)
 const SATOSHI_THRESHOLD = 0.00000001; // 1 satoshi minimum for updates
-const DEFAULT_BTC_EUR_RATE = 45000; // Default BTC/EUR exchange rate
+const DEFAULT_BTC_EUR_RATE = 41500; // BTC/EUR rate until market prices are loaded
+const DEFAULT_WITHDRAWAL_FEE = 0.00001; // Default network fee for withdrawals (BTC)
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_YEAR = 365.2425 * MS_PER_DAY;
+const DEFAULT_STRATEGY = 'momentum-mean-reversion';
+const TRADE_FEE_RATE = 0.001; // Fee per simulated fill (0.1%)
+const TRADE_ALLOCATION = 0.1; // Share of the balance the bot moves per trade at baseline risk
+const BASELINE_MONTHLY_RETURN = 0.013; // What TRADE_ALLOCATION earns on the simulated market
+const BASELINE_VOLATILITY = 0.02; // Volatility budget TRADE_ALLOCATION is sized for (conservative)
+const DEFAULT_RISK_PROFILE = 'conservative';
+const MARKET_VOLATILITY = 0.2; // Annualised volatility of the BTC/EUR fair value
+const MARKET_NOISE = 0.004; // Std. deviation of short-term moves around fair value
+const MARKET_REVERSION_MS = 60 * 60 * 1000; // Half-life of short-term moves
+const MARKET_BAR_MS = 15 * 60 * 1000; // Strategies trade on 15-minute closes
+const MARKET_HISTORY_LIMIT = 100; // Bars kept for strategies
+const CATCHUP_RESOLUTION_MS = 60 * 60 * 1000; // History resolution when rebuilding missed time
+const CATCHUP_MAX_MS = 365 * MS_PER_DAY; // Longest gap that is replayed bar by bar
+const DEFAULT_CHART_PERIOD = '1M';
 const CHART_DATA_URL = 'assets/data/chart-data.json';
 const USERS_DATA_URL = 'assets/data/users.json';
+const APP_DATA_URL = 'data/mock_db.json'; // Market prices, presets, fees and the referral program
+const CURRENT_USER_KEY = 'anomcat_user';
+const ACCOUNTS_KEY = 'anomcat_accounts'; // Accounts that have signed in on this device
+const SESSION_KEY = 'anomcat_session';
+const SESSION_DURATION_MS = 7 * MS_PER_DAY;
+const DEFAULT_PREFERENCES = { currency: 'BTC', notifications: true, emailAlerts: false };
+const DEFAULT_FIAT_CURRENCY = 'EUR';
+
+// Display currencies. Bitcoin units are BTC scaled by `perBtc`. Fiat
+// values use the BTC price in that currency (see getBtcRate); `eurRate`
+// (units per EUR) is the fallback for currencies the market prices do
+// not quote.
+const CURRENCIES = {
+    BTC: { label: 'BTC', name: 'Bitcoin', perBtc: 1, decimals: 8 },
+    mBTC: { label: 'mBTC', name: 'Millibitcoin', perBtc: 1e3, decimals: 5 },
+    sats: { label: 'sats', name: 'Satoshis', perBtc: 1e8, decimals: 0 },
+    EUR: { label: 'EUR', name: 'Euro', fiat: true, locale: 'de-DE', eurRate: 1 },
+    USD: { label: 'USD', name: 'US Dollar', fiat: true, locale: 'en-US', eurRate: 1.08 },
+    GBP: { label: 'GBP', name: 'British Pound', fiat: true, locale: 'en-GB', eurRate: 0.86 },
+    CHF: { label: 'CHF', name: 'Swiss Franc', fiat: true, locale: 'de-CH', eurRate: 0.95 },
+    SEK: { label: 'SEK', name: 'Swedish Krona', fiat: true, locale: 'sv-SE', eurRate: 11.4 },
+    NOK: { label: 'NOK', name: 'Norwegian Krone', fiat: true, locale: 'nb-NO', eurRate: 11.6 },
+    DKK: { label: 'DKK', name: 'Danish Krone', fiat: true, locale: 'da-DK', eurRate: 7.46 },
+    PLN: { label: 'PLN', name: 'Polish Złoty', fiat: true, locale: 'pl-PL', eurRate: 4.35 },
+    CAD: { label: 'CAD', name: 'Canadian Dollar', fiat: true, locale: 'en-CA', eurRate: 1.47 },
+    AUD: { label: 'AUD', name: 'Australian Dollar', fiat: true, locale: 'en-AU', eurRate: 1.65 },
+    JPY: { label: 'JPY', name: 'Japanese Yen', fiat: true, locale: 'ja-JP', eurRate: 160 }
+};
+
+// Assets the portfolio can hold, valued in BTC on the market the bot
+// trades on: `pegged` assets at one EUR each, the others on their own
+// market against BTC, which follows the "<ASSET>_EUR" price of the rate
+// feed (`eurPrice` until the feed has one).
+const ASSETS = {
+    BTC: { name: 'Bitcoin', icon: '₿', decimals: 8, color: '#f7931a' },
+    ETH: { name: 'Ether', icon: 'Ξ', decimals: 6, color: '#627eea', eurPrice: 2300 },
+    EURC: { name: 'Euro Coin', icon: '€', decimals: 2, color: '#2775ca', pegged: true }
+};
+const DEFAULT_TRADE_ASSET = 'EURC'; // What the bot moves BTC into
+
+// Wallets of the portfolio: the main wallet that manual orders, swaps and
+// withdrawals use, and the CAT account that only the bot trades
+const WALLETS = {
+    main: { name: 'Main Wallet' },
+    cat: { name: 'CAT Account' }
+};
+const DEFAULT_TRANSFER_FEE_RATE = 0.001; // catAccount.feePercentage in the data file (see assets/js/transfers.js)
+
+// Slippage tolerances for swaps, until `slippagePresets` is loaded from
+// data/mock_db.json (see assets/js/swap.js)
+const SLIPPAGE_PRESETS = { low: 0.001, medium: 0.005, high: 0.01 };
+const DEFAULT_SLIPPAGE_PRESET = 'medium'; // Until settings.slippagePreset is loaded from the data file
+
+// Portfolio history is kept at several resolutions. Each tier holds one
+// point per bucket (the latest value in it) and drops points older than
+// its retention.
+const HISTORY_TIERS = [
+    { key: 'recent', resolution: 5 * 60 * 1000, retention: 2 * MS_PER_DAY },
+    { key: 'hourly', resolution: 60 * 60 * 1000, retention: 31 * MS_PER_DAY },
+    { key: 'daily', resolution: MS_PER_DAY, retention: 2 * 366 * MS_PER_DAY },
+    { key: 'weekly', resolution: 7 * MS_PER_DAY, retention: Infinity }
+];
+
+// Chart periods and the history tier each one is drawn from
+const CHART_PERIODS = {
+    '1D': { span: MS_PER_DAY, tier: 'recent' },
+    '1W': { span: 7 * MS_PER_DAY, tier: 'hourly' },
+    '1M': { span: 30 * MS_PER_DAY, tier: 'hourly' },
+    '3M': { span: 91 * MS_PER_DAY, tier: 'daily' },
+    '1Y': { span: 365 * MS_PER_DAY, tier: 'daily' },
+    'ALL': { span: Infinity, tier: 'weekly' }
+};
+
+// Risk profiles for the "Risk Level" setting. Returns are monthly,
+// volatility is annualised, drawdown is measured in BTC from the peak.
+const RISK_PROFILES = {
+    conservative: {
+        name: 'Conservative',
+        targetReturn: 0.013,
+        volatility: 0.02,
+        maxDrawdown: 0.02,
+        tradesPerDay: 8
+    },
+    balanced: {
+        name: 'Balanced',
+        targetReturn: 0.025,
+        volatility: 0.04,
+        maxDrawdown: 0.05,
+        tradesPerDay: 12
+    },
+    aggressive: {
+        name: 'Aggressive',
+        targetReturn: 0.05,
+        volatility: 0.08,
+        maxDrawdown: 0.1,
+        tradesPerDay: 24
+    }
+};
 
 // ============================================
 // Global State Management
@@ -25,24 +140,79 @@ const USERS_DATA_URL = 'assets/data/users.json';
 const AnomCAT = {
     // Currency state
     currency: 'BTC',
-    btcToEurRate: DEFAULT_BTC_EUR_RATE,
+    fiatCurrency: DEFAULT_FIAT_CURRENCY, // Shown next to bitcoin amounts
+    btcToEurRate: DEFAULT_BTC_EUR_RATE, // The simulated market's price (see anchorMarket)
+    marketPrices: {}, // Latest BTC prices keyed "BTC_<currency>"
+    fiatRates: {}, // Units per EUR from market prices (see CURRENCIES)
+    currencies: CURRENCIES,
+    assets: ASSETS,
+    wallets: WALLETS,
+    
+    // Selected chart period (see CHART_PERIODS)
+    chartPeriod: DEFAULT_CHART_PERIOD,
+    
+    // Swap slippage tolerance: the user's choice, or null for the default
+    slippagePreset: null,
+    defaultSlippagePreset: DEFAULT_SLIPPAGE_PRESET,
+    slippagePresets: SLIPPAGE_PRESETS,
+    
+    // Fee on transfers between the wallets, as a fraction
+    transferFeeRate: DEFAULT_TRANSFER_FEE_RATE,
     
     // Portfolio data
     portfolio: {
-        btcBalance: 0,
+        btcBalance: 0, // Both wallets
         eurBalance: 0,
         initialBtc: 0,
-        history: [],
+        withdrawnBtc: 0,
+        holdings: { BTC: 0, ETH: 0, EURC: 0 }, // Quantity of each asset in the main wallet
+        cat: { // CAT account, the bot's (see WALLETS)
+            btcBalance: 0,
+            holdings: { BTC: 0, ETH: 0, EURC: 0 },
+            position: null // Open bot position (BTC moved into bot.tradeAsset)
+        },
+        orders: [], // Manual orders, newest first (see assets/js/orders.js)
+        referrals: { tier: 'bronze', list: [] }, // Accounts invited (see assets/js/referrals.js)
+        history: { recent: [], hourly: [], daily: [], weekly: [] }, // See HISTORY_TIERS
         trades: []
     },
     
     // Bot settings
     bot: {
         active: false,
-        monthlyReturn: 0.013, // 1.3% monthly return
+        monthlyReturn: RISK_PROFILES[DEFAULT_RISK_PROFILE].targetReturn,
+        strategy: DEFAULT_STRATEGY,
+        riskProfile: DEFAULT_RISK_PROFILE,
+        customRisk: null, // Settings of the 'custom' profile
+        tradeAsset: DEFAULT_TRADE_ASSET,
         lastUpdate: Date.now()
     },
     
+    // Notification inbox, newest first (see assets/js/notifications.js),
+    // and alert rules (see assets/js/alerts.js)
+    notifications: {
+        inbox: [],
+        milestone: 0, // Highest ROI milestone announced, in percent
+        rules: [],
+        rateSamples: [] // BTC/EUR rate history for price alerts
+    },
+    
+    // Simulated BTC/EUR market the bot trades on, around the feed's price
+    market: {
+        price: DEFAULT_BTC_EUR_RATE,
+        fairValue: DEFAULT_BTC_EUR_RATE,
+        deviation: 0,
+        lastUpdate: Date.now(),
+        prices: [],
+        assets: {} // Markets of the other assets against BTC (see ASSETS)
+    },
+    
+    // Registered trading strategies (see assets/js/strategies.js)
+    strategies: {},
+    
+    // Built-in risk profiles
+    riskProfiles: RISK_PROFILES,
+    
     // Update intervals
     intervals: {
         portfolio: null,
@@ -53,7 +223,18 @@ const AnomCAT = {
     defaultChartData: null,
     
     // Users data (loaded from JSON)
-    usersData: null
+    usersData: null,
+    
+    // The data file, once requested (see AnomCAT.loadAppData)
+    appData: null,
+    
+    // Set once saved state is loaded (see AnomCAT.onReady)
+    storageLoaded: false,
+    isReady: false,
+    readyCallbacks: [],
+    
+    // Set when the user accepts a new version (see AnomCAT.showUpdatePrompt)
+    updateRequested: false
 };
 
 // ============================================
@@ -63,9 +244,22 @@ document.addEventListener('DOMContentLoaded', () => {
     AnomCAT.init();
 });
 
-AnomCAT.init = function() {
-    this.loadFromStorage();
+AnomCAT.init = async function() {
+    // Signed-out visitors have no state to show
+    if (this.isAuthenticatedPage() && !this.getSession()) {
+        this.redirectToLogin(this.isSessionExpired() ? 'expired' : null);
+        return;
+    }
+    
+    await this.loadFromStorage();
     this.loadDefaultData();
+    this.loadAppData();
+    
+    // Rebuild the time the app was closed before anything is drawn
+    if (this.isAuthenticatedPage()) {
+        this.catchUp();
+    }
+    
     this.initCurrencyToggle();
     this.initNavigation();
     this.updateAllDisplays();
@@ -74,6 +268,29 @@ AnomCAT.init = function() {
     // Start portfolio updates if on authenticated pages
     if (this.isAuthenticatedPage()) {
         this.startPortfolioUpdates();
+        
+        // Background tabs and suspended PWAs skip timer ticks
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible' && this.catchUp() > 0) {
+                this.updateAllDisplays();
+            }
+        });
+    }
+    
+    this.isReady = true;
+    this.readyCallbacks.forEach(callback => callback());
+    this.readyCallbacks = [];
+};
+
+/**
+ * Run `callback` once saved state has been loaded. Page scripts use this
+ * instead of DOMContentLoaded, since loading from storage is async.
+ */
+AnomCAT.onReady = function(callback) {
+    if (this.isReady) {
+        callback();
+    } else {
+        this.readyCallbacks.push(callback);
     }
 };
 
@@ -91,8 +308,30 @@ AnomCAT.loadDefaultData = async function() {
         console.log('Chart data will use generated values:', e.message);
     }
     
+    await this.loadUsersData();
+};
+
+/**
+ * The data file, fetched once per page. Modules read their section from
+ * it (slippage presets, the transfer fee, the referral program, market
+ * prices) and keep their built-in values when it is unavailable.
+ * @returns {Promise<Object>} Its contents, or an empty object
+ */
+AnomCAT.loadAppData = function() {
+    if (!this.appData) {
+        this.appData = fetch(APP_DATA_URL)
+            .then(response => response.ok ? response.json() : {})
+            .catch(e => {
+                console.warn('Data file not available, using built-in values:', e.message);
+                return {};
+            });
+    }
+    return this.appData;
+};
+
+// Demo profiles (see assets/js/auth.js)
+AnomCAT.loadUsersData = async function() {
     try {
-        // Load users data
         const usersResponse = await fetch(USERS_DATA_URL);
         if (usersResponse.ok) {
             this.usersData = await usersResponse.json();
@@ -102,26 +341,172 @@ AnomCAT.loadDefaultData = async function() {
     }
 };
 
-AnomCAT.validateUser = function(email) {
-    if (!this.usersData || !this.usersData.users) {
-        // In demo mode, any email works
-        return { valid: true, user: { email: email, name: 'Demo User' } };
+// ============================================
+// Accounts
+// ============================================
+// Profile of the signed-in user, as stored by signIn()
+AnomCAT.getCurrentUser = function() {
+    try {
+        return JSON.parse(localStorage.getItem(CURRENT_USER_KEY));
+    } catch (e) {
+        return null;
+    }
+};
+
+AnomCAT.setCurrentUser = function(user) {
+    localStorage.setItem(CURRENT_USER_KEY, JSON.stringify(user));
+};
+
+// Storage namespace of an account: its id, or the email for accounts
+// not listed in users.json
+AnomCAT.getAccountId = function(user) {
+    return user.id || user.email.toLowerCase();
+};
+
+// Accounts known on this device, most recently used first
+AnomCAT.getAccounts = function() {
+    try {
+        return (JSON.parse(localStorage.getItem(ACCOUNTS_KEY)) || [])
+            .sort((a, b) => b.lastSignIn - a.lastSignIn);
+    } catch (e) {
+        return [];
+    }
+};
+
+/**
+ * Make `user` the signed-in account, start a session and remember the
+ * account for the account switcher. Preferences come from the matching
+ * users.json entry. Callers check credentials first (see auth.js).
+ * @param {Object} user - Profile with at least email and name
+ * @param {Object} [options]
+ * @param {boolean} [options.demo=false] - Demo profile, no password
+ */
+AnomCAT.signIn = function(user, options = {}) {
+    const id = this.getAccountId(user);
+    const listed = this.usersData && this.usersData.users &&
+        this.usersData.users.find(u => u.email.toLowerCase() === user.email.toLowerCase());
+    // Preferences changed on this device win over the users.json ones
+    const known = this.getAccounts().find(a => a.id === id);
+    const preferences = Object.assign({}, listed && listed.preferences, known && known.preferences);
+    // The referral code and inviter stay with the account (see assets/js/referrals.js)
+    const referral = known ? { referralCode: known.referralCode, referredBy: known.referredBy } : {};
+    const account = Object.assign({ preferences: preferences }, referral, user, {
+        id: id,
+        demo: !!options.demo,
+        lastSignIn: Date.now()
+    });
+    
+    const accounts = this.getAccounts().filter(a => a.id !== id);
+    accounts.push(account);
+    localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+    this.setCurrentUser(account);
+    
+    localStorage.setItem(SESSION_KEY, JSON.stringify({
+        accountId: id,
+        demo: account.demo,
+        createdAt: account.lastSignIn,
+        expiresAt: account.lastSignIn + SESSION_DURATION_MS
+    }));
+    return account;
+};
+
+// The signed-in session, or null when signed out or expired
+AnomCAT.getSession = function() {
+    const user = this.getCurrentUser();
+    let session = null;
+    try {
+        session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    } catch (e) {
+        return null;
     }
     
-    const user = this.usersData.users.find(u => u.email.toLowerCase() === email.toLowerCase());
-    if (user) {
-        return { valid: true, user: user };
+    if (!user || !session || session.accountId !== this.getAccountId(user) || session.expiresAt <= Date.now()) {
+        return null;
     }
+    return session;
+};
+
+AnomCAT.isSessionExpired = function() {
+    try {
+        const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+        return !!session && session.expiresAt <= Date.now();
+    } catch (e) {
+        return false;
+    }
+};
+
+// Send the visitor to the login page, coming back here afterwards
+AnomCAT.redirectToLogin = function(reason) {
+    const params = new URLSearchParams({ next: window.location.pathname.split('/').pop() || 'home.html' });
+    if (reason) {
+        params.set('reason', reason);
+    }
+    window.location.href = 'login.html?' + params.toString();
+};
+
+// Preferences of the signed-in user, with defaults filled in
+AnomCAT.getPreferences = function() {
+    const user = this.getCurrentUser();
+    return Object.assign({}, DEFAULT_PREFERENCES, user && user.preferences);
+};
+
+// Change a preference of the signed-in user. It is kept with the account
+// on this device.
+AnomCAT.setPreference = function(key, value) {
+    const user = this.getCurrentUser();
+    if (!user) return;
+    
+    user.preferences = Object.assign({}, user.preferences, { [key]: value });
+    this.setCurrentUser(user);
+    
+    const accounts = this.getAccounts().map(account => account.id === user.id
+        ? Object.assign(account, { preferences: user.preferences })
+        : account);
+    localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+};
+
+// Save and unload the signed-in account's state. Its data stays on the
+// device for the next sign-in.
+AnomCAT.unloadAccount = async function() {
+    clearInterval(this.intervals.portfolio);
+    await this.saveToStorage();
     
-    // In demo mode, still allow any email
-    return { valid: true, user: { email: email, name: 'Guest User' } };
+    this.storageLoaded = false;
+    await this.storage.setVaultKey(null); // Signing out locks the vault
+    this.storage.cipher = null;
+    this.storage.namespace = null;
+    this.resetState();
+    localStorage.removeItem(CURRENT_USER_KEY);
+    localStorage.removeItem(SESSION_KEY);
+};
+
+/**
+ * Sign out and go to the login page.
+ * @param {string} [reason] - 'expired' when the session ran out
+ */
+AnomCAT.signOut = async function(reason) {
+    await this.unloadAccount();
+    window.location.href = reason ? 'login.html?reason=' + reason : 'login.html';
+};
+
+// Switch to another known account through the login page: demo profiles
+// sign in without a password, other accounts with theirs, and both are
+// asked for their 2FA code when they have it (see AnomCAT.beginSignIn)
+AnomCAT.switchAccount = async function(accountId) {
+    const account = this.getAccounts().find(a => a.id === accountId);
+    if (!account) return;
+    
+    await this.unloadAccount();
+    window.location.href = account.demo
+        ? 'login.html?demo=1'
+        : 'login.html?email=' + encodeURIComponent(account.email);
 };
 
 AnomCAT.getDefaultChartData = function() {
     if (this.defaultChartData && this.defaultChartData.portfolioHistory) {
         return this.defaultChartData.portfolioHistory.map(point => ({
             time: new Date(point.date).getTime(),
-            value: this.currency === 'EUR' ? point.eurValue : point.btcValue
+            value: this.toHistoricalValue(point.btcValue, point.eurValue)
         }));
     }
     return null;
@@ -151,40 +536,131 @@ AnomCAT.getDefaultSummary = function() {
 // ============================================
 // Currency Toggle
 // ============================================
+// Fill every currency select (header toggle, Default Currency setting)
 AnomCAT.initCurrencyToggle = function() {
-    const toggle = document.querySelector('.currency-toggle');
-    if (!toggle) return;
-    
-    const btcBtn = toggle.querySelector('[data-currency="BTC"]');
-    const eurBtn = toggle.querySelector('[data-currency="EUR"]');
+    const groups = [
+        { label: 'Bitcoin', codes: Object.keys(CURRENCIES).filter(code => !CURRENCIES[code].fiat) },
+        { label: 'Fiat', codes: Object.keys(CURRENCIES).filter(code => CURRENCIES[code].fiat) }
+    ];
     
-    if (btcBtn && eurBtn) {
-        btcBtn.addEventListener('click', () => this.setCurrency('BTC'));
-        eurBtn.addEventListener('click', () => this.setCurrency('EUR'));
-        this.updateCurrencyButtons();
-    }
+    document.querySelectorAll('[data-currency-select]').forEach(select => {
+        select.innerHTML = groups.map(group =>
+            `<optgroup label="${group.label}">` +
+            group.codes.map(code => `<option value="${code}">${CURRENCIES[code].label}</option>`).join('') +
+            '</optgroup>'
+        ).join('');
+        select.addEventListener('change', () => this.setCurrency(select.value));
+    });
+    this.updateCurrencySelects();
 };
 
 AnomCAT.setCurrency = function(currency) {
-    if (currency === this.currency) return;
+    if (currency === this.currency || !CURRENCIES[currency]) return;
     
     this.currency = currency;
+    if (this.isFiat(currency)) {
+        this.fiatCurrency = currency;
+    }
     this.saveToStorage();
-    this.updateCurrencyButtons();
+    this.updateCurrencySelects();
     this.updateAllDisplays();
     
     // Dispatch custom event for page-specific updates
     window.dispatchEvent(new CustomEvent('currencyChanged', { detail: { currency } }));
 };
 
-AnomCAT.updateCurrencyButtons = function() {
-    const btcBtn = document.querySelector('[data-currency="BTC"]');
-    const eurBtn = document.querySelector('[data-currency="EUR"]');
+AnomCAT.updateCurrencySelects = function() {
+    document.querySelectorAll('[data-currency-select]').forEach(select => {
+        select.value = this.currency;
+    });
+};
+
+// ============================================
+// Exchange Rates
+// ============================================
+AnomCAT.getCurrency = function(code = this.currency) {
+    return CURRENCIES[code] || CURRENCIES.BTC;
+};
+
+AnomCAT.isFiat = function(code = this.currency) {
+    return !!this.getCurrency(code).fiat;
+};
+
+/**
+ * Take prices keyed "<ASSET>_<currency>" (see assets/js/rates.js). Quotes
+ * are merged into the latest prices; fiat currencies get rates against
+ * the BTC/EUR price, which the simulated market is anchored to.
+ * @returns {boolean} False when no EUR price is known yet
+ */
+AnomCAT.applyMarketPrices = function(prices) {
+    const merged = Object.assign({}, this.marketPrices, prices);
+    if (!(merged.BTC_EUR > 0)) return false;
     
-    if (btcBtn && eurBtn) {
-        btcBtn.classList.toggle('active', this.currency === 'BTC');
-        eurBtn.classList.toggle('active', this.currency === 'EUR');
+    this.marketPrices = merged;
+    this.anchorMarket();
+    this.fiatRates = {};
+    Object.keys(merged).forEach(pair => {
+        const code = pair.replace(/^BTC_/, '');
+        if (pair !== code && this.isFiat(code) && merged[pair] > 0) {
+            this.fiatRates[code] = merged[pair] / merged.BTC_EUR;
+        }
+    });
+    return true;
+};
+
+/**
+ * Move the simulated market's fair value to the feed's BTC/EUR price,
+ * keeping its short-term move. The market price is the one BTC/EUR price
+ * of the app: trades, EUR values and fiat displays all use it, through
+ * btcToEurRate.
+ */
+AnomCAT.anchorMarket = function() {
+    const market = this.market;
+    if (this.marketPrices.BTC_EUR > 0) {
+        market.fairValue = this.marketPrices.BTC_EUR;
+    }
+    market.price = market.fairValue * Math.exp(market.deviation);
+    this.btcToEurRate = market.price;
+};
+
+// Units of a fiat currency per EUR
+AnomCAT.getEurCrossRate = function(code) {
+    return this.fiatRates[code] || this.getCurrency(code).eurRate;
+};
+
+// Price of one BTC in a fiat currency
+AnomCAT.getBtcRate = function(code = this.fiatCurrency) {
+    return this.btcToEurRate * this.getEurCrossRate(code);
+};
+
+// The fiat currency values are shown in: the selected one, or the one
+// shown next to bitcoin amounts
+AnomCAT.getDisplayFiat = function() {
+    return this.isFiat() ? this.currency : this.fiatCurrency;
+};
+
+// The bitcoin unit amounts are shown in
+AnomCAT.getBitcoinUnit = function() {
+    return this.isFiat() ? 'BTC' : this.currency;
+};
+
+// A BTC amount in the units of `code` (default: the selected currency)
+AnomCAT.toDisplayValue = function(btcValue, code = this.currency) {
+    return this.isFiat(code) ? btcValue * this.getBtcRate(code) : btcValue * this.getCurrency(code).perBtc;
+};
+
+/**
+ * A past amount in the units of `code`. Fiat is based on its EUR value at
+ * the time (converted at today's EUR cross rate); without one, today's
+ * BTC price is used.
+ * @param {number} btcValue
+ * @param {number} [eurValue] - Value in EUR when it was recorded
+ */
+AnomCAT.toHistoricalValue = function(btcValue, eurValue, code = this.currency) {
+    if (this.isFiat(code) && typeof eurValue === 'number') {
+        return eurValue * this.getEurCrossRate(code);
     }
+    return this.toDisplayValue(btcValue, code);
 };
 
 // ============================================
@@ -195,28 +671,90 @@ AnomCAT.formatBTC = function(value) {
     return value.toFixed(8) + ' BTC';
 };
 
-AnomCAT.formatEUR = function(value) {
+// A fiat amount in the currency's own locale
+AnomCAT.formatFiat = function(value, code = this.fiatCurrency) {
     if (typeof value !== 'number' || isNaN(value)) value = 0;
-    return new Intl.NumberFormat('de-DE', {
+    return new Intl.NumberFormat(this.getCurrency(code).locale, {
         style: 'currency',
-        currency: 'EUR',
-        minimumFractionDigits: 2,
-        maximumFractionDigits: 2
+        currency: code
     }).format(value);
 };
 
-AnomCAT.formatCurrency = function(btcValue) {
-    if (this.currency === 'EUR') {
-        return this.formatEUR(btcValue * this.btcToEurRate);
+AnomCAT.formatEUR = function(value) {
+    return this.formatFiat(value, 'EUR');
+};
+
+// A BTC amount in a bitcoin unit; whole satoshis get digit grouping
+AnomCAT.formatBitcoin = function(btcValue, code = 'BTC') {
+    if (typeof btcValue !== 'number' || isNaN(btcValue)) btcValue = 0;
+    const unit = this.getCurrency(code);
+    const value = btcValue * unit.perBtc;
+    const digits = unit.decimals > 0 ? value.toFixed(unit.decimals) : Math.round(value).toLocaleString('en-US');
+    return digits + ' ' + unit.label;
+};
+
+AnomCAT.formatCurrency = function(btcValue, code = this.currency) {
+    if (this.isFiat(code)) {
+        return this.formatFiat(this.toDisplayValue(btcValue, code), code);
     }
-    return this.formatBTC(btcValue);
+    return this.formatBitcoin(btcValue, code);
 };
 
+// Fiat next to bitcoin amounts, BTC next to fiat ones
 AnomCAT.formatSecondaryCurrency = function(btcValue) {
-    if (this.currency === 'BTC') {
-        return this.formatEUR(btcValue * this.btcToEurRate);
+    return this.formatCurrency(btcValue, this.isFiat() ? 'BTC' : this.fiatCurrency);
+};
+
+// A ledger entry's amount, in fiat at the BTC/EUR rate of its time
+AnomCAT.formatTradeAmount = function(trade, code = this.currency) {
+    if (!this.isFiat(code)) {
+        return this.formatBitcoin(trade.amount, code);
+    }
+    const eurValue = trade.eurRate > 0 ? trade.amount * trade.eurRate : undefined;
+    return this.formatFiat(this.toHistoricalValue(trade.amount, eurValue, code), code);
+};
+
+AnomCAT.formatTradeSecondary = function(trade) {
+    return this.formatTradeAmount(trade, this.isFiat() ? 'BTC' : this.fiatCurrency);
+};
+
+// An EUR amount in the display fiat currency
+AnomCAT.formatFiatFromEur = function(eurValue, code = this.getDisplayFiat()) {
+    return this.formatFiat(eurValue * this.getEurCrossRate(code), code);
+};
+
+// A quantity of an asset in its own units; BTC in the selected bitcoin unit
+AnomCAT.formatAssetAmount = function(quantity, symbol) {
+    if (symbol === 'BTC') {
+        return this.formatBitcoin(quantity, this.getBitcoinUnit());
+    }
+    return quantity.toFixed(ASSETS[symbol].decimals) + ' ' + symbol;
+};
+
+// Format a value that is already in the selected currency (chart data)
+AnomCAT.formatDisplayValue = function(value) {
+    if (this.isFiat()) {
+        return this.formatFiat(value, this.currency);
     }
-    return this.formatBTC(btcValue);
+    return this.formatBitcoin(value / this.getCurrency().perBtc, this.currency);
+};
+
+// Short chart axis label for a value in the selected currency
+AnomCAT.formatAxisValue = function(value) {
+    const currency = this.getCurrency();
+    if (currency.fiat) {
+        return new Intl.NumberFormat(currency.locale, {
+            style: 'currency',
+            currency: this.currency,
+            minimumFractionDigits: 0,
+            maximumFractionDigits: 0
+        }).format(value);
+    }
+    const digits = Math.max(0, currency.decimals - 4);
+    return value.toLocaleString('en-US', {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }) + ' ' + currency.label;
 };
 
 AnomCAT.btcToEur = function(btcValue) {
@@ -271,6 +809,14 @@ AnomCAT.updateBalanceDisplays = function() {
         walletSecondary.textContent = this.formatSecondaryCurrency(this.portfolio.btcBalance);
     }
     
+    // Main wallet and CAT account
+    const walletBalances = this.getWalletBalances();
+    Object.keys(WALLETS).forEach(wallet => {
+        document.querySelectorAll(`[data-wallet="${wallet}"]`).forEach(el => {
+            el.textContent = this.formatCurrency(walletBalances[wallet]);
+        });
+    });
+    
     // Update all elements with data-btc-value attribute
     document.querySelectorAll('[data-btc-value]').forEach(el => {
         const btcValue = parseFloat(el.dataset.btcValue);
@@ -292,25 +838,36 @@ AnomCAT.updateTransactionDisplays = function() {
 };
 
 AnomCAT.updateStatDisplays = function() {
-    // Initial value
+    // Initial value and profit are BTC growth, shown in a bitcoin unit;
+    // fiat results are the realised and unrealised P&L below
     const initialEl = document.querySelector('[data-stat="initial"]');
     if (initialEl) {
-        initialEl.textContent = this.formatCurrency(this.portfolio.initialBtc);
+        initialEl.textContent = this.formatCurrency(this.portfolio.initialBtc, this.getBitcoinUnit());
     }
     
     // Profit
-    const profit = this.portfolio.btcBalance - this.portfolio.initialBtc;
+    const profit = this.getProfit();
     const profitEl = document.querySelector('[data-stat="profit"]');
     if (profitEl) {
         const sign = profit >= 0 ? '+' : '';
-        profitEl.textContent = sign + this.formatCurrency(profit);
+        profitEl.textContent = sign + this.formatCurrency(profit, this.getBitcoinUnit());
         profitEl.className = profit >= 0 ? 'stat-value text-success' : 'stat-value text-danger';
     }
     
+    // Fiat P&L (on pages that load assets/js/tax.js)
+    if (typeof this.getFiatPnl === 'function') {
+        const pnl = this.getFiatPnl();
+        [['realised', pnl.realised], ['unrealised', pnl.unrealised]].forEach(([key, eurValue]) => {
+            const el = document.querySelector(`[data-stat="${key}"]`);
+            if (el) {
+                el.textContent = (eurValue >= 0 ? '+' : '') + this.formatFiatFromEur(eurValue);
+                el.className = eurValue >= 0 ? 'stat-value text-success' : 'stat-value text-danger';
+            }
+        });
+    }
+    
     // ROI
-    const roi = this.portfolio.initialBtc > 0 
-        ? ((this.portfolio.btcBalance - this.portfolio.initialBtc) / this.portfolio.initialBtc * 100) 
-        : 0;
+    const roi = this.getROI();
     const roiEl = document.querySelector('[data-stat="roi"]');
     if (roiEl) {
         const sign = roi >= 0 ? '+' : '';
@@ -319,55 +876,132 @@ AnomCAT.updateStatDisplays = function() {
     }
     
     // Trades count
+    const botTrades = this.portfolio.trades.filter(t => t.type === 'trade');
     const tradesEl = document.querySelector('[data-stat="trades"]');
     if (tradesEl) {
-        tradesEl.textContent = this.portfolio.trades.length;
+        tradesEl.textContent = botTrades.length;
     }
     
-    // Win rate
-    if (this.portfolio.trades.length > 0) {
-        const wins = this.portfolio.trades.filter(t => t.profit).length;
-        const winRate = (wins / this.portfolio.trades.length * 100).toFixed(1);
+    // Win rate (closed round trips only)
+    const closedTrades = botTrades.filter(t => typeof t.profit === 'boolean');
+    if (closedTrades.length > 0) {
+        const wins = closedTrades.filter(t => t.profit).length;
+        const winRate = (wins / closedTrades.length * 100).toFixed(1);
         const winRateEl = document.querySelector('[data-stat="winrate"]');
         if (winRateEl) {
             winRateEl.textContent = winRate + '%';
         }
     }
     
+    // Risk profile
+    const risk = this.getRiskProfile();
+    document.querySelectorAll('[data-stat="target"]').forEach(el => {
+        el.textContent = '+' + (risk.targetReturn * 100).toFixed(1) + '%';
+    });
+    document.querySelectorAll('[data-stat="risk"]').forEach(el => {
+        el.textContent = risk.name;
+    });
+    
+    // Strategy
+    const strategy = this.getStrategy();
+    document.querySelectorAll('[data-stat="strategy"]').forEach(el => {
+        el.textContent = strategy ? strategy.name : '--';
+    });
+    
     // Bot status
     const statusEl = document.querySelector('[data-stat="status"]');
     if (statusEl) {
-        const isActive = this.bot.active && this.portfolio.btcBalance > 0;
+        const isActive = this.bot.active && this.portfolio.cat.btcBalance > 0;
         statusEl.textContent = isActive ? 'Active' : 'Idle';
         statusEl.className = isActive ? 'badge badge-success' : 'badge badge-warning';
     }
 };
 
+// ============================================
+// Assets
+// ============================================
+// Price of one unit of `symbol` in BTC, given the BTC/EUR price. Pegged
+// assets are worth one EUR at the rate EUR values are shown at.
+AnomCAT.getAssetPrice = function(symbol, btcEurPrice = this.btcToEurRate) {
+    if (symbol === 'BTC') return 1;
+    if (ASSETS[symbol].pegged) return 1 / btcEurPrice;
+    return this.getAssetMarket(symbol).price;
+};
+
+// The price in BTC an asset's market moves around, from the rate feed
+AnomCAT.getAssetReferencePrice = function(symbol) {
+    const eurPrice = this.marketPrices[symbol + '_EUR'] || ASSETS[symbol].eurPrice;
+    return eurPrice / this.btcToEurRate;
+};
+
+// Market of a non-pegged asset against BTC, opened at its reference price
+AnomCAT.getAssetMarket = function(symbol) {
+    const markets = this.market.assets || (this.market.assets = {});
+    if (!markets[symbol]) {
+        markets[symbol] = { price: this.getAssetReferencePrice(symbol), deviation: 0 };
+    }
+    return markets[symbol];
+};
+
+/**
+ * Every asset with its quantity in both wallets, value in BTC and share
+ * of the portfolio in percent, in the order of ASSETS.
+ * @returns {Array<{symbol: string, asset: Object, quantity: number, btcValue: number, allocation: number}>}
+ */
+AnomCAT.getAssetBalances = function() {
+    const balances = Object.keys(ASSETS).map(symbol => {
+        const quantity = (this.portfolio.holdings[symbol] || 0) + (this.portfolio.cat.holdings[symbol] || 0);
+        return {
+            symbol: symbol,
+            asset: ASSETS[symbol],
+            quantity: quantity,
+            btcValue: quantity * this.getAssetPrice(symbol)
+        };
+    });
+    
+    const total = balances.reduce((sum, balance) => sum + balance.btcValue, 0);
+    balances.forEach(balance => {
+        balance.allocation = total > 0 ? balance.btcValue / total * 100 : 0;
+    });
+    return balances;
+};
+
 // ============================================
 // Portfolio Management
 // ============================================
-AnomCAT.deposit = function(btcAmount) {
-    if (isNaN(btcAmount) || btcAmount <= 0) {
+/**
+ * Deposit BTC into one of the wallets. Deposits into the CAT account
+ * start the bot.
+ * @param {number} btcAmount
+ * @param {string} [wallet] - 'cat' or 'main' (see WALLETS)
+ * @returns {boolean} Whether the amount was valid
+ */
+AnomCAT.deposit = function(btcAmount, wallet = 'cat') {
+    if (isNaN(btcAmount) || btcAmount <= 0 || !WALLETS[wallet]) {
         return false;
     }
     
-    if (this.portfolio.initialBtc === 0) {
-        this.portfolio.initialBtc = btcAmount;
-        this.portfolio.btcBalance = btcAmount;
-        this.portfolio.history = [{
-            time: Date.now(),
-            value: btcAmount
-        }];
-    } else {
-        this.portfolio.btcBalance += btcAmount;
+    // Settle any growth accrued on the existing balance first
+    this.updatePortfolio();
+    
+    // initialBtc tracks the total capital deposited
+    const account = wallet === 'cat' ? this.portfolio.cat : this.portfolio;
+    this.portfolio.initialBtc += btcAmount;
+    account.holdings.BTC += btcAmount;
+    if (wallet === 'cat' && account.peakBtc) {
+        account.peakBtc += btcAmount;
     }
+    this.markHoldings(this.portfolio, this.market.price);
+    this.recordPortfolioPoint(Date.now());
     
     this.portfolio.eurBalance = this.btcToEur(this.portfolio.btcBalance);
-    this.bot.active = true;
+    if (wallet === 'cat') {
+        this.setBotActive(true, 'deposit');
+    }
     this.bot.lastUpdate = Date.now();
     
     // Add deposit transaction
-    this.addTransaction('deposit', btcAmount);
+    this.addTransaction('deposit', btcAmount, { wallet: wallet });
     
     this.saveToStorage();
     this.updateAllDisplays();
@@ -375,23 +1009,200 @@ AnomCAT.deposit = function(btcAmount) {
     return true;
 };
 
-AnomCAT.addTransaction = function(type, amount) {
-    const transaction = {
-        id: Date.now(),
-        time: Date.now(),
+/**
+ * Withdraw BTC from the main wallet to an external address.
+ * The network fee is deducted from the balance on top of the amount.
+ * Funds in the CAT account have to be transferred to the main wallet
+ * first (see assets/js/transfers.js).
+ * @param {number} btcAmount - Amount sent to the destination address
+ * @param {string} address - Destination BTC address
+ * @param {number} [fee] - Network fee in BTC
+ * @returns {{success: boolean, error?: string, transaction?: Object}}
+ */
+AnomCAT.withdraw = function(btcAmount, address, fee = DEFAULT_WITHDRAWAL_FEE) {
+    if (isNaN(btcAmount) || btcAmount <= 0) {
+        return { success: false, error: 'Please enter a valid amount greater than 0' };
+    }
+    
+    if (isNaN(fee) || fee < 0) {
+        return { success: false, error: 'Please enter a valid network fee' };
+    }
+    
+    if (!this.isValidBtcAddress(address)) {
+        return { success: false, error: 'Please enter a valid BTC address' };
+    }
+    
+    // Settle accrued growth so the balance check uses the current value
+    this.updatePortfolio();
+    
+    const total = btcAmount + fee;
+    const available = this.getAvailableBtc();
+    if (total > available + SATOSHI_THRESHOLD) {
+        return { success: false, error: 'Insufficient BTC in the main wallet for amount plus network fee' };
+    }
+    
+    // The main wallet's available BTC is sent in full
+    const isFull = available - total < SATOSHI_THRESHOLD;
+    this.portfolio.holdings.BTC = Math.max(0, this.portfolio.holdings.BTC - (isFull ? available : total));
+    this.portfolio.withdrawnBtc += btcAmount;
+    this.markHoldings(this.portfolio, this.market.price);
+    this.portfolio.eurBalance = this.btcToEur(this.portfolio.btcBalance);
+    this.recordPortfolioPoint(Date.now());
+    
+    const transaction = this.addTransaction('withdrawal', btcAmount, {
+        fee: fee,
+        address: address.trim(),
+        full: isFull
+    });
+    
+    this.saveToStorage();
+    this.updateAllDisplays();
+    
+    return { success: true, transaction: transaction };
+};
+
+AnomCAT.getMaxWithdrawal = function(fee = DEFAULT_WITHDRAWAL_FEE) {
+    return Math.max(0, this.getAvailableBtc() - fee);
+};
+
+// Value in BTC of each wallet (see WALLETS)
+AnomCAT.getWalletBalances = function() {
+    const cat = this.portfolio.cat.btcBalance;
+    return {
+        main: Math.max(0, this.portfolio.btcBalance - cat),
+        cat: cat
+    };
+};
+
+AnomCAT.isValidBtcAddress = function(address) {
+    if (typeof address !== 'string') return false;
+    const value = address.trim();
+    // Bech32 (bc1/tb1) or legacy base58 (1/3, m/n/2 on testnet)
+    return /^(bc1|tb1)[a-z0-9]{25,87}$/i.test(value) ||
+        /^[13mn2][a-km-zA-HJ-NP-Z1-9]{25,34}$/.test(value);
+};
+
+/**
+ * Profit in BTC: current balance plus everything withdrawn, minus deposits.
+ * Network fees are costs and therefore reduce profit.
+ */
+AnomCAT.getProfit = function() {
+    return this.portfolio.btcBalance + this.portfolio.withdrawnBtc - this.portfolio.initialBtc;
+};
+
+AnomCAT.getROI = function() {
+    return this.portfolio.initialBtc > 0
+        ? (this.getProfit() / this.portfolio.initialBtc * 100)
+        : 0;
+};
+
+AnomCAT.addTransaction = function(type, amount, details = {}) {
+    const time = details.time || Date.now();
+    const transaction = Object.assign({
+        id: this.createTransactionId(time),
+        time: time,
         type: type,
         amount: amount,
-        profit: type === 'trade' ? Math.random() > 0.4 : null
-    };
+        eurRate: this.btcToEurRate, // BTC/EUR rate at the time
+        profit: null
+    }, details);
     
+    // The full ledger is kept: the tax report needs every acquisition
     this.portfolio.trades.unshift(transaction);
+    window.dispatchEvent(new CustomEvent('transactionAdded', { detail: transaction }));
     
-    // Keep only last 100 transactions
-    if (this.portfolio.trades.length > 100) {
-        this.portfolio.trades = this.portfolio.trades.slice(0, 100);
+    // catchUp() saves once when it is done
+    if (!this.isCatchingUp) {
+        this.saveToStorage();
     }
     
-    this.saveToStorage();
+    return transaction;
+};
+
+// Ids must stay unique even for entries added in the same millisecond
+AnomCAT.createTransactionId = function(time) {
+    const random = crypto.getRandomValues(new Uint32Array(2));
+    return 'tx-' + time.toString(36) + '-' + Array.from(random, n => n.toString(36).padStart(7, '0')).join('');
+};
+
+/**
+ * Display details for a ledger entry, shared by the activity lists.
+ * @returns {{icon: string, iconClass: string, title: string, subtitle: string, isPositive: boolean}}
+ */
+AnomCAT.describeTransaction = function(trade) {
+    switch (trade.type) {
+        case 'deposit':
+            return {
+                icon: '↓',
+                iconClass: 'incoming',
+                title: 'Deposit',
+                subtitle: WALLETS[trade.wallet] ? 'To ' + WALLETS[trade.wallet].name : 'Completed',
+                isPositive: true
+            };
+        case 'withdrawal':
+            return {
+                icon: '↑',
+                iconClass: 'outgoing',
+                title: 'Withdrawal',
+                subtitle: trade.address ? 'To ' + trade.address.slice(0, 8) + '…' + trade.address.slice(-4) : 'Completed',
+                isPositive: false
+            };
+        case 'trade': {
+            // Trades recorded before the strategy engine have no side
+            if (!trade.side) {
+                return { icon: '⚡', iconClass: 'trade', title: 'Bot Trade', subtitle: trade.profit ? 'Profitable' : 'Loss', isPositive: !!trade.profit };
+            }
+            // Fills of manual orders (see assets/js/orders.js)
+            if (trade.source === 'manual') {
+                return {
+                    icon: trade.side === 'buy' ? '↙' : '↗',
+                    iconClass: 'trade',
+                    title: trade.side === 'buy' ? 'Buy' : 'Sell',
+                    subtitle: (ORDER_TYPES[trade.orderType] || 'Manual') + ' order at ' + this.formatEUR(trade.price),
+                    isPositive: trade.side === 'buy'
+                };
+            }
+            if (trade.side === 'sell') {
+                const into = trade.asset ? ' into ' + trade.asset : '';
+                return { icon: '⚡', iconClass: 'trade', title: 'Bot Sell', subtitle: 'Sold at ' + this.formatEUR(trade.price) + into, isPositive: false };
+            }
+            if (trade.reason === 'drawdown') {
+                return { icon: '⚡', iconClass: 'trade', title: 'Bot Buy', subtitle: 'Drawdown limit reached', isPositive: true };
+            }
+            return { icon: '⚡', iconClass: 'trade', title: 'Bot Buy', subtitle: trade.profit ? 'Profitable' : 'Loss', isPositive: true };
+        }
+        case 'swap':
+            return {
+                icon: '⇄',
+                iconClass: 'trade',
+                title: 'Swap',
+                subtitle: this.formatAssetAmount(trade.fromAmount, trade.fromAsset) + ' → ' + this.formatAssetAmount(trade.toAmount, trade.toAsset),
+                isPositive: trade.toAsset === 'BTC'
+            };
+        // Internal transfers (see assets/js/transfers.js)
+        case 'transfer':
+            return {
+                icon: '⇆',
+                iconClass: 'trade',
+                title: 'Transfer',
+                subtitle: WALLETS[trade.from].name + ' → ' + WALLETS[trade.to].name,
+                isPositive: trade.to === 'main'
+            };
+        // Referral bonuses (see assets/js/referrals.js)
+        case 'referral':
+            return {
+                icon: '🎁',
+                iconClass: 'incoming',
+                title: 'Referral Bonus',
+                // Names are user input and stay out of the activity lists' markup
+                subtitle: REFERRAL_BONUS_NAMES[trade.bonus] + (trade.multiplier > 1 ? ' ×' + trade.multiplier : ''),
+                isPositive: true
+            };
+        case 'risk':
+            return { icon: '📊', iconClass: 'trade', title: 'Risk Profile', subtitle: trade.from + ' → ' + trade.to, isPositive: true };
+        default:
+            return { icon: '•', iconClass: 'trade', title: trade.type, subtitle: 'Completed', isPositive: trade.amount >= 0 };
+    }
 };
 
 AnomCAT.startPortfolioUpdates = function() {
@@ -402,47 +1213,524 @@ AnomCAT.startPortfolioUpdates = function() {
     
     // Update portfolio every 5 seconds
     this.intervals.portfolio = setInterval(() => {
+        if (!this.getSession()) {
+            this.signOut('expired');
+            return;
+        }
         this.updatePortfolio();
     }, 5000);
 };
 
 AnomCAT.updatePortfolio = function() {
-    if (!this.bot.active || this.portfolio.btcBalance <= 0) return;
+    // The market moves while the bot runs or manual orders wait on it
+    if ((!this.bot.active && !this.hasOpenOrders()) || this.portfolio.btcBalance <= 0) return;
     
     const now = Date.now();
-    const elapsed = now - this.bot.lastUpdate;
-    const monthsElapsed = elapsed / (1000 * 60 * 60 * 24 * DAYS_PER_MONTH);
+    const previousBalance = this.portfolio.btcBalance;
     
-    // Calculate compounded growth
-    const growth = this.portfolio.btcBalance * (Math.pow(1 + this.bot.monthlyReturn, monthsElapsed) - 1);
+    // Strategies are evaluated once per closed bar, orders on every update
+    const barClosed = this.stepMarket(now);
+    const fill = barClosed && this.bot.active ? this.runStrategy(this.portfolio.cat, now) : null;
+    const orderFills = this.processOrders(now);
+    this.markHoldings(this.portfolio, this.market.price);
+    this.bot.lastUpdate = now;
+    this.checkAlerts(now);
     
-    if (growth > SATOSHI_THRESHOLD) {
-        this.portfolio.btcBalance += growth;
+    if (fill || orderFills > 0 || Math.abs(this.portfolio.btcBalance - previousBalance) > SATOSHI_THRESHOLD) {
         this.portfolio.eurBalance = this.btcToEur(this.portfolio.btcBalance);
-        this.bot.lastUpdate = now;
+        this.recordPortfolioPoint(now);
+        this.updateAllDisplays();
+        window.dispatchEvent(new CustomEvent('portfolioUpdated'));
+    }
+    
+    this.saveToStorage();
+};
+
+// Record the portfolio value, with the BTC value of every other asset held
+AnomCAT.recordPortfolioPoint = function(time) {
+    const assets = {};
+    this.getAssetBalances().forEach(balance => {
+        if (balance.symbol !== 'BTC' && balance.btcValue > 0) {
+            assets[balance.symbol] = balance.btcValue;
+        }
+    });
+    
+    const hasAssets = Object.keys(assets).length > 0;
+    this.recordHistoryPoint(time, this.portfolio.btcBalance, this.portfolio.history, this.btcToEurRate, hasAssets ? assets : null);
+};
+
+AnomCAT.recordHistoryPoint = function(time, value, history = this.portfolio.history, eurRate = this.btcToEurRate, assets = null) {
+    // Points carry their EUR value at the time, unless the rate is unknown,
+    // and the value of any assets besides BTC
+    const point = { time: time, value: value };
+    if (eurRate) {
+        point.eurValue = value * eurRate;
+    }
+    if (assets) {
+        point.assets = assets;
+    }
+    
+    HISTORY_TIERS.forEach(tier => {
+        const points = history[tier.key];
+        const last = points[points.length - 1];
         
-        // Add to history
-        this.portfolio.history.push({
-            time: now,
-            value: this.portfolio.btcBalance
-        });
+        if (last && Math.floor(last.time / tier.resolution) === Math.floor(time / tier.resolution)) {
+            delete last.eurValue;
+            delete last.assets;
+            Object.assign(last, point);
+        } else {
+            points.push(Object.assign({}, point));
+        }
+        
+        while (points.length > 0 && points[0].time < time - tier.retention) {
+            points.shift();
+        }
+    });
+};
+
+/**
+ * History points for a chart period, oldest first. Falls back to finer
+ * tiers while the preferred one has too few points, e.g. for new users.
+ */
+AnomCAT.getHistory = function(period = this.chartPeriod) {
+    const config = CHART_PERIODS[period] || CHART_PERIODS[DEFAULT_CHART_PERIOD];
+    const history = this.portfolio.history;
+    const from = Date.now() - config.span;
+    let index = HISTORY_TIERS.findIndex(tier => tier.key === config.tier);
+    
+    // "All" can use daily points for as long as they reach back to the start
+    if (period === 'ALL' && history.daily.length > 0 && history.weekly.length > 0 &&
+        history.daily[0].time <= history.weekly[0].time) {
+        index--;
+    }
+    
+    let points = [];
+    for (; index >= 0; index--) {
+        points = history[HISTORY_TIERS[index].key].filter(point => point.time >= from);
+        if (points.length > 1) break;
+    }
+    return points;
+};
+
+/**
+ * History of one asset's value in BTC. BTC is what the other assets
+ * leave of the total.
+ */
+AnomCAT.getAssetHistory = function(symbol, period = this.chartPeriod) {
+    return this.getHistory(period).map(point => {
+        const others = point.assets || {};
+        const value = symbol === 'BTC'
+            ? point.value - Object.values(others).reduce((sum, other) => sum + other, 0)
+            : others[symbol] || 0;
         
-        // Keep only last 100 data points
-        if (this.portfolio.history.length > 100) {
-            this.portfolio.history.shift();
+        const assetPoint = { time: point.time, value: value };
+        if (typeof point.eurValue === 'number' && point.value > 0) {
+            assetPoint.eurValue = point.eurValue * value / point.value;
         }
+        return assetPoint;
+    });
+};
+
+// Time of the oldest recorded history point, or null
+AnomCAT.getHistoryStart = function() {
+    const firsts = HISTORY_TIERS
+        .map(tier => this.portfolio.history[tier.key][0])
+        .filter(point => point)
+        .map(point => point.time);
+    return firsts.length > 0 ? Math.min(...firsts) : null;
+};
+
+AnomCAT.setChartPeriod = function(period) {
+    if (!CHART_PERIODS[period]) return false;
+    this.chartPeriod = period;
+    this.saveToStorage();
+    return true;
+};
+
+/**
+ * Rebuild the time the app was closed.
+ * Walks the gap since the last update bar by bar, so the strategy and
+ * open orders trade as they would have live, and records a history point every
+ * CATCHUP_RESOLUTION_MS. Returns the number of bars replayed.
+ */
+AnomCAT.catchUp = function(now = Date.now()) {
+    if ((!this.bot.active && !this.hasOpenOrders()) || this.portfolio.btcBalance <= 0) return 0;
+    if (now - this.bot.lastUpdate < 2 * MARKET_BAR_MS) return 0;
+    
+    // Very long gaps: the market moves in one step up to the replay window
+    let start = this.bot.lastUpdate;
+    if (now - start > CATCHUP_MAX_MS) {
+        start = now - CATCHUP_MAX_MS;
+        this.stepMarket(start);
+        this.markHoldings(this.portfolio, this.market.price);
+    }
+    
+    let bars = 0;
+    let time = start;
+    let nextPoint = start + CATCHUP_RESOLUTION_MS;
+    this.isCatchingUp = true;
+    
+    try {
+        while (time + MARKET_BAR_MS <= now && this.portfolio.btcBalance > 0) {
+            time += MARKET_BAR_MS;
+            if (this.stepMarket(time) && this.bot.active) {
+                this.runStrategy(this.portfolio.cat, time);
+            }
+            this.processOrders(time);
+            this.markHoldings(this.portfolio, this.market.price);
+            bars++;
+            
+            if (time >= nextPoint) {
+                this.recordPortfolioPoint(time);
+                nextPoint += CATCHUP_RESOLUTION_MS;
+            }
+        }
+    } finally {
+        this.isCatchingUp = false;
+    }
+    
+    this.recordPortfolioPoint(time);
+    this.portfolio.eurBalance = this.btcToEur(this.portfolio.btcBalance);
+    this.bot.lastUpdate = time;
+    this.saveToStorage();
+    window.dispatchEvent(new CustomEvent('caughtUp', { detail: { bars: bars, from: start, to: time } }));
+    
+    return bars;
+};
+
+// ============================================
+// Market Simulation
+// ============================================
+AnomCAT.randomNormal = function() {
+    // Box-Muller transform
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+/**
+ * Advance the simulated BTC/EUR price to `time`.
+ * The price is a slowly drifting fair value (geometric Brownian motion)
+ * plus short-term moves that revert towards it, which is what the
+ * built-in strategies trade. Each new feed price moves the fair value
+ * back to the feed (see anchorMarket). Other assets make the same kind of
+ * short-term moves around their reference price against BTC.
+ * Returns true when a new bar was closed.
+ */
+AnomCAT.stepMarket = function(time) {
+    const market = this.market;
+    const elapsed = time - market.lastUpdate;
+    if (elapsed <= 0) return false;
+    
+    const years = elapsed / MS_PER_YEAR;
+    market.fairValue *= Math.exp(
+        -0.5 * MARKET_VOLATILITY * MARKET_VOLATILITY * years +
+        MARKET_VOLATILITY * Math.sqrt(years) * this.randomNormal()
+    );
+    
+    const decay = Math.exp(-Math.LN2 * elapsed / MARKET_REVERSION_MS);
+    market.deviation = market.deviation * decay +
+        MARKET_NOISE * Math.sqrt(1 - decay * decay) * this.randomNormal();
+    
+    market.price = market.fairValue * Math.exp(market.deviation);
+    market.lastUpdate = time;
+    this.btcToEurRate = market.price;
+    
+    Object.keys(ASSETS).forEach(symbol => {
+        if (symbol === 'BTC' || ASSETS[symbol].pegged) return;
+        const assetMarket = this.getAssetMarket(symbol);
+        assetMarket.deviation = assetMarket.deviation * decay +
+            MARKET_NOISE * Math.sqrt(1 - decay * decay) * this.randomNormal();
+        assetMarket.price = this.getAssetReferencePrice(symbol) * Math.exp(assetMarket.deviation);
+    });
+    
+    const lastBar = market.prices[market.prices.length - 1];
+    if (lastBar && time - lastBar.time < MARKET_BAR_MS) {
+        return false;
+    }
+    
+    market.prices.push({ time: time, price: market.price });
+    if (market.prices.length > MARKET_HISTORY_LIMIT) {
+        market.prices = market.prices.slice(-MARKET_HISTORY_LIMIT);
+    }
+    return true;
+};
+
+// ============================================
+// Trading Engine
+// ============================================
+AnomCAT.registerStrategy = function(strategy) {
+    if (!strategy || !strategy.id || typeof strategy.generateSignals !== 'function') {
+        throw new Error('A strategy needs an id and a generateSignals(prices, params) function');
+    }
+    this.strategies[strategy.id] = strategy;
+};
+
+AnomCAT.getStrategy = function(id) {
+    return this.strategies[id || this.bot.strategy] || this.strategies[DEFAULT_STRATEGY] || null;
+};
+
+AnomCAT.setStrategy = function(id) {
+    if (!this.strategies[id] || id === this.bot.strategy) return false;
+    
+    this.bot.strategy = id;
+    this.saveToStorage();
+    this.updateStatDisplays();
+    return true;
+};
+
+/**
+ * Start or pause the bot. Time spent paused is not replayed by catchUp().
+ * @param {boolean} active
+ * @param {string} [reason] - What changed it, e.g. 'deposit' or 'transfer';
+ *   null when the user did
+ */
+AnomCAT.setBotActive = function(active, reason = null) {
+    if (this.bot.active === active) return;
+    
+    this.bot.active = active;
+    this.bot.lastUpdate = Date.now();
+    this.saveToStorage();
+    window.dispatchEvent(new CustomEvent('botStateChanged', { detail: { active: active, reason: reason } }));
+};
+
+// Asset the bot moves BTC into; an open position keeps its asset
+AnomCAT.setTradeAsset = function(symbol) {
+    if (!ASSETS[symbol] || symbol === 'BTC' || symbol === this.bot.tradeAsset) return false;
+    
+    this.bot.tradeAsset = symbol;
+    this.saveToStorage();
+    return true;
+};
+
+AnomCAT.getRiskProfile = function(id) {
+    const profileId = id || this.bot.riskProfile;
+    if (profileId === 'custom' && this.bot.customRisk) {
+        return Object.assign({ id: 'custom', name: 'Custom' }, this.bot.customRisk);
+    }
+    const builtIn = RISK_PROFILES[profileId] ? profileId : DEFAULT_RISK_PROFILE;
+    return Object.assign({ id: builtIn }, RISK_PROFILES[builtIn]);
+};
+
+/**
+ * Switch risk profile. `settings` is required for 'custom' and holds
+ * targetReturn, volatility, maxDrawdown and tradesPerDay.
+ * The change is recorded in the transaction history.
+ * @returns {{success: boolean, error?: string}}
+ */
+AnomCAT.setRiskProfile = function(id, settings) {
+    if (id !== 'custom' && !RISK_PROFILES[id]) {
+        return { success: false, error: 'Unknown risk profile' };
+    }
+    
+    const previous = this.getRiskProfile();
+    
+    if (id === 'custom') {
+        const custom = {
+            targetReturn: parseFloat(settings && settings.targetReturn),
+            volatility: parseFloat(settings && settings.volatility),
+            maxDrawdown: parseFloat(settings && settings.maxDrawdown),
+            tradesPerDay: parseFloat(settings && settings.tradesPerDay)
+        };
         
-        // Random trade simulation
-        if (Math.random() > 0.7) {
-            const tradeAmount = this.portfolio.btcBalance * (Math.random() * 0.05 + 0.01);
-            this.addTransaction('trade', tradeAmount);
+        if (!(custom.targetReturn > 0 && custom.targetReturn <= 0.2)) {
+            return { success: false, error: 'Target return must be between 0% and 20% per month' };
+        }
+        if (!(custom.volatility > 0 && custom.volatility <= 1)) {
+            return { success: false, error: 'Volatility must be between 0% and 100%' };
+        }
+        if (!(custom.maxDrawdown > 0 && custom.maxDrawdown <= 0.5)) {
+            return { success: false, error: 'Maximum drawdown must be between 0% and 50%' };
+        }
+        if (!(custom.tradesPerDay >= 1 && custom.tradesPerDay <= 96)) {
+            return { success: false, error: 'Trade frequency must be between 1 and 96 trades per day' };
         }
         
-        this.saveToStorage();
-        this.updateAllDisplays();
+        this.bot.customRisk = custom;
+    } else if (id === previous.id) {
+        return { success: true };
+    }
+    
+    this.bot.riskProfile = id;
+    const profile = this.getRiskProfile();
+    this.bot.monthlyReturn = profile.targetReturn;
+    
+    this.addTransaction('risk', 0, {
+        from: previous.name,
+        to: profile.name,
+        profile: {
+            targetReturn: profile.targetReturn,
+            volatility: profile.volatility,
+            maxDrawdown: profile.maxDrawdown,
+            tradesPerDay: profile.tradesPerDay
+        }
+    });
+    this.updateStatDisplays();
+    
+    return { success: true };
+};
+
+/**
+ * Translate a risk profile into simulator limits. The position size
+ * scales with the target return, capped by the volatility budget;
+ * tradesPerDay sets the minimum time between new positions.
+ */
+AnomCAT.getRiskLimits = function(profile = this.getRiskProfile()) {
+    return {
+        allocation: Math.min(
+            TRADE_ALLOCATION * profile.targetReturn / BASELINE_MONTHLY_RETURN,
+            TRADE_ALLOCATION * profile.volatility / BASELINE_VOLATILITY,
+            1
+        ),
+        maxDrawdown: profile.maxDrawdown,
+        minTradeInterval: MS_PER_DAY / profile.tradesPerDay
+    };
+};
+
+/**
+ * Evaluate the selected strategy on the market price series and apply
+ * the latest signal to `account`. Returns the fill, or null. Fills in
+ * the CAT account are recorded in the ledger.
+ */
+AnomCAT.runStrategy = function(account, time) {
+    const strategy = this.getStrategy();
+    if (!strategy) return null;
+    
+    const prices = this.market.prices.map(p => p.price);
+    const signals = strategy.generateSignals(prices, strategy.params);
+    const signal = signals[signals.length - 1];
+    
+    const fill = this.applySignal(account, signal, this.market.price, time);
+    if (fill && account === this.portfolio.cat) {
+        this.recordFill(fill, strategy);
+    }
+    return fill;
+};
+
+/**
+ * Apply a strategy signal to an account ({ btcBalance, holdings, position }).
+ * 'sell' moves the risk profile's allocation of the balance from BTC into
+ * `asset`; 'buy' moves an open position back into BTC. btcBalance always
+ * holds the total value in BTC, with every holding marked at the last price.
+ * An open position is closed regardless of the signal once the balance
+ * is maxDrawdown below its peak.
+ */
+AnomCAT.applySignal = function(account, signal, price, time, limits = this.getRiskLimits(), asset = this.bot.tradeAsset) {
+    account.peakBtc = Math.max(account.peakBtc || 0, account.btcBalance);
+    const stopOut = account.position !== null &&
+        account.btcBalance <= account.peakBtc * (1 - limits.maxDrawdown);
+    if (stopOut) {
+        signal = 'buy';
+    }
+    
+    const holdings = account.holdings;
+    const tooSoon = account.lastTradeAt && time - account.lastTradeAt < limits.minTradeInterval;
+    
+    if (signal === 'sell' && !account.position && holdings.BTC > 0 && !tooSoon) {
+        const btcAmount = Math.min(account.btcBalance * limits.allocation, holdings.BTC);
+        const fee = btcAmount * TRADE_FEE_RATE;
+        const quantity = (btcAmount - fee) / this.getAssetPrice(asset, price);
+        
+        holdings.BTC -= btcAmount;
+        holdings[asset] = (holdings[asset] || 0) + quantity;
+        account.position = {
+            asset: asset,
+            quantity: quantity,
+            btcAmount: btcAmount,
+            entryPrice: price,
+            openedAt: time
+        };
+        account.lastTradeAt = time;
+        this.markHoldings(account, price);
+        
+        return { side: 'sell', asset: asset, quantity: quantity, amount: btcAmount, price: price, fiatAmount: (btcAmount - fee) * price, fee: fee, time: time };
+    }
+    
+    if (signal === 'buy' && account.position) {
+        const position = account.position;
+        const btcBack = position.quantity * this.getAssetPrice(position.asset, price);
+        const fee = btcBack * TRADE_FEE_RATE;
+        const pnl = btcBack - fee - position.btcAmount;
+        
+        holdings[position.asset] = Math.max(0, holdings[position.asset] - position.quantity);
+        holdings.BTC += btcBack - fee;
+        account.position = null;
+        account.lastTradeAt = time;
+        this.markHoldings(account, price);
+        
+        const fill = {
+            side: 'buy',
+            asset: position.asset,
+            quantity: position.quantity,
+            amount: btcBack - fee,
+            price: price,
+            fiatAmount: btcBack * price,
+            fee: fee,
+            pnl: pnl,
+            time: time
+        };
+        if (stopOut) {
+            // Start measuring the next drawdown from here
+            account.peakBtc = account.btcBalance;
+            fill.reason = 'drawdown';
+        }
+        return fill;
+    }
+    
+    return null;
+};
+
+// Revalue an account's holdings at the BTC/EUR price `price`; the
+// portfolio's balance includes its CAT account
+AnomCAT.markHoldings = function(account, price) {
+    account.btcBalance = Object.keys(account.holdings).reduce(
+        (sum, symbol) => sum + account.holdings[symbol] * this.getAssetPrice(symbol, price), 0
+    );
+    if (account.cat) {
+        this.markHoldings(account.cat, price);
+        account.btcBalance += account.cat.btcBalance;
     }
 };
 
+// BTC in the main wallet that open sell orders have not reserved
+AnomCAT.getAvailableBtc = function() {
+    const reserved = typeof this.getReservedAmount === 'function' ? this.getReservedAmount('BTC') : 0;
+    return Math.max(0, this.portfolio.holdings.BTC - reserved);
+};
+
+// Move the CAT account's open position back into BTC
+AnomCAT.closePosition = function() {
+    const cat = this.portfolio.cat;
+    if (!cat.position) return null;
+    
+    const now = Date.now();
+    this.markHoldings(cat, this.market.price);
+    const fill = this.applySignal(cat, 'buy', this.market.price, now);
+    if (fill) {
+        this.recordFill(fill, this.getStrategy());
+    }
+    this.markHoldings(this.portfolio, this.market.price);
+    return fill;
+};
+
+AnomCAT.recordFill = function(fill, strategy) {
+    this.addTransaction('trade', fill.amount, {
+        time: fill.time,
+        side: fill.side,
+        asset: fill.asset,
+        quantity: fill.quantity,
+        price: fill.price,
+        eurRate: fill.price,
+        fiatAmount: fill.fiatAmount,
+        fee: fill.fee,
+        pnl: fill.side === 'buy' ? fill.pnl : null,
+        profit: fill.side === 'buy' ? fill.pnl > 0 : null,
+        strategy: strategy ? strategy.id : null,
+        reason: fill.reason || null,
+        source: 'bot'
+    });
+};
+
 // ============================================
 // Navigation
 // ============================================
@@ -458,8 +1746,8 @@ AnomCAT.initNavigation = function() {
     });
 };
 
-AnomCAT.isAuthenticatedPage = function() {
-    const currentPage = window.location.pathname.split('/').pop() || 'index.html';
+AnomCAT.isAuthenticatedPage = function(page) {
+    const currentPage = page || window.location.pathname.split('/').pop() || 'index.html';
     const authPages = ['login.html', 'register.html', 'index.html'];
     return !authPages.includes(currentPage);
 };
@@ -467,60 +1755,162 @@ AnomCAT.isAuthenticatedPage = function() {
 // ============================================
 // Storage
 // ============================================
+// Everything that is persisted, by storage section
+AnomCAT.getState = function() {
+    return {
+        portfolio: this.portfolio,
+        bot: this.bot,
+        market: this.market,
+        notifications: this.notifications,
+        settings: {
+            currency: this.currency,
+            fiatCurrency: this.fiatCurrency,
+            chartPeriod: this.chartPeriod,
+            slippagePreset: this.slippagePreset
+        }
+    };
+};
+
 AnomCAT.saveToStorage = function() {
+    // Never overwrite saved data with defaults before it has been loaded
+    if (!this.storageLoaded) return Promise.resolve();
+    
+    return this.storage.save(this.getState()).catch(e => {
+        console.error('Failed to save state:', e);
+        
+        // Tell the user once per page load; later saves keep trying
+        if (this.storage.isQuotaError(e) && !this.storageFullNotified) {
+            this.storageFullNotified = true;
+            alert('Device storage is full. Recent changes could not be saved until some space is freed.');
+        }
+    });
+};
+
+/**
+ * Load saved state (see assets/js/storage.js). Older data is migrated to
+ * the current schema before it is applied.
+ */
+AnomCAT.loadFromStorage = async function() {
+    // Signed out there is nothing to load, and nothing is saved
+    if (!this.getSession()) return;
+    this.storage.namespace = this.getAccountId(this.getCurrentUser());
+    
+    // Encrypted data needs the vault passphrase first (see assets/js/vault.js)
+    if (this.storage.isEncrypted()) {
+        await this.openVault();
+    }
+    
+    let state = null;
     try {
-        localStorage.setItem('anomcat_portfolio', JSON.stringify(this.portfolio));
-        localStorage.setItem('anomcat_bot', JSON.stringify(this.bot));
-        localStorage.setItem('anomcat_currency', this.currency);
+        state = await this.storage.load();
     } catch (e) {
-        console.error('Failed to save to localStorage:', e);
+        console.error('Failed to load saved state:', e);
+        
+        // Never replace data that could not be read: storageLoaded stays
+        // false, so nothing is saved on this page
+        alert('Your saved data could not be opened, so changes on this page will not be saved. ' + e.message);
+        return;
+    }
+    this.storageLoaded = true;
+    
+    if (!state) {
+        // First sign-in on this device
+        this.applySettings({ currency: this.getPreferences().currency });
+        return;
+    }
+    
+    if (state.portfolio) {
+        this.portfolio = state.portfolio;
+    }
+    if (state.bot) {
+        this.bot = state.bot;
+    }
+    if (state.market) {
+        this.market = state.market;
+        this.anchorMarket();
+    }
+    if (state.notifications) {
+        this.notifications = state.notifications;
+    }
+    if (state.settings) {
+        this.applySettings(state.settings);
     }
 };
 
-AnomCAT.loadFromStorage = function() {
-    try {
-        const portfolio = localStorage.getItem('anomcat_portfolio');
-        if (portfolio) {
-            this.portfolio = JSON.parse(portfolio);
-        }
-        
-        const bot = localStorage.getItem('anomcat_bot');
-        if (bot) {
-            this.bot = JSON.parse(bot);
-        }
-        
-        const currency = localStorage.getItem('anomcat_currency');
-        if (currency) {
-            this.currency = currency;
-        }
-    } catch (e) {
-        console.error('Failed to load from localStorage:', e);
+// Apply stored settings, ignoring unknown currencies, chart periods and
+// slippage presets
+AnomCAT.applySettings = function(settings) {
+    if (CURRENCIES[settings.currency]) {
+        this.currency = settings.currency;
+    }
+    if (this.isFiat(settings.fiatCurrency)) {
+        this.fiatCurrency = settings.fiatCurrency;
+    } else if (this.isFiat(this.currency)) {
+        this.fiatCurrency = this.currency;
+    }
+    if (CHART_PERIODS[settings.chartPeriod]) {
+        this.chartPeriod = settings.chartPeriod;
+    }
+    if (SLIPPAGE_PRESETS[settings.slippagePreset]) {
+        this.slippagePreset = settings.slippagePreset;
     }
 };
 
+// Resets state to defaults; resolves once stored data is removed
 AnomCAT.clearStorage = function() {
-    try {
-        localStorage.removeItem('anomcat_portfolio');
-        localStorage.removeItem('anomcat_bot');
-        localStorage.removeItem('anomcat_currency');
-        
-        // Reset to defaults
-        this.currency = 'BTC';
-        this.portfolio = {
+    this.resetState();
+    
+    return this.storage.clear().catch(e => {
+        console.error('Failed to clear stored data:', e);
+    });
+};
+
+// Put the in-memory state back to defaults; storage is not touched
+AnomCAT.resetState = function() {
+    this.currency = DEFAULT_PREFERENCES.currency;
+    this.fiatCurrency = DEFAULT_FIAT_CURRENCY;
+    this.chartPeriod = DEFAULT_CHART_PERIOD;
+    this.slippagePreset = null;
+    this.applySettings({ currency: this.getPreferences().currency });
+    this.portfolio = {
+        btcBalance: 0,
+        eurBalance: 0,
+        initialBtc: 0,
+        withdrawnBtc: 0,
+        holdings: { BTC: 0, ETH: 0, EURC: 0 },
+        cat: {
             btcBalance: 0,
-            eurBalance: 0,
-            initialBtc: 0,
-            history: [],
-            trades: []
-        };
-        this.bot = {
-            active: false,
-            monthlyReturn: 0.013,
-            lastUpdate: Date.now()
-        };
-    } catch (e) {
-        console.error('Failed to clear localStorage:', e);
-    }
+            holdings: { BTC: 0, ETH: 0, EURC: 0 },
+            position: null
+        },
+        orders: [],
+        referrals: { tier: 'bronze', list: [] },
+        history: { recent: [], hourly: [], daily: [], weekly: [] },
+        trades: []
+    };
+    this.bot = {
+        active: false,
+        monthlyReturn: RISK_PROFILES[DEFAULT_RISK_PROFILE].targetReturn,
+        strategy: DEFAULT_STRATEGY,
+        riskProfile: DEFAULT_RISK_PROFILE,
+        customRisk: null,
+        tradeAsset: DEFAULT_TRADE_ASSET,
+        lastUpdate: Date.now()
+    };
+    this.market = {
+        price: this.btcToEurRate,
+        fairValue: this.btcToEurRate,
+        deviation: 0,
+        lastUpdate: Date.now(),
+        prices: [],
+        assets: {}
+    };
+    this.notifications = {
+        inbox: [],
+        milestone: 0,
+        rules: [],
+        rateSamples: []
+    };
 };
 
 // ============================================
@@ -528,12 +1918,56 @@ AnomCAT.clearStorage = function() {
 // ============================================
 AnomCAT.registerServiceWorker = function() {
     if ('serviceWorker' in navigator) {
-        navigator.serviceWorker.register('sw.js').catch(err => {
+        navigator.serviceWorker.register('sw.js').then(registration => {
+            // A new version waits until the user chooses to reload
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+        }).catch(err => {
             console.log('Service Worker registration failed:', err);
         });
+        
+        // Reload once the new version the user asked for has taken over;
+        // the first install also changes the controller (clients.claim)
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!this.updateRequested) return;
+            this.updateRequested = false;
+            window.location.reload();
+        });
     }
 };
 
+// Banner offering to switch to the waiting service worker
+AnomCAT.showUpdatePrompt = function(worker) {
+    if (document.getElementById('updatePrompt')) return;
+    
+    const prompt = document.createElement('div');
+    prompt.className = 'update-prompt';
+    prompt.id = 'updatePrompt';
+    prompt.setAttribute('role', 'status');
+    prompt.innerHTML = `
+        <span class="update-prompt-text">A new version of AnomCAT is available</span>
+        <button type="button" class="btn btn-primary" data-update-reload>Reload</button>
+        <button type="button" class="btn btn-outline" data-update-dismiss>Later</button>
+    `;
+    document.body.appendChild(prompt);
+    
+    prompt.querySelector('[data-update-reload]').addEventListener('click', () => {
+        this.updateRequested = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    });
+    prompt.querySelector('[data-update-dismiss]').addEventListener('click', () => prompt.remove());
+};
+
 // ============================================
 // Utilities
 // ============================================
@@ -558,6 +1992,20 @@ AnomCAT.formatDateTime = function(timestamp) {
     return this.formatDate(timestamp) + ' ' + this.formatTime(timestamp);
 };
 
+// Offer `content` as a file download
+AnomCAT.downloadFile = function(content, filename, type) {
+    const blob = new Blob([content], { type: type });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
 AnomCAT.formatRelativeTime = function(timestamp) {
     const now = Date.now();
     const diff = now - timestamp;
@@ -577,42 +2025,66 @@ AnomCAT.formatRelativeTime = function(timestamp) {
 // ============================================
 // Chart Utilities (used by pages with charts)
 // ============================================
-AnomCAT.generateChartData = function(days = 30) {
-    // First, try to use loaded JSON data
-    const defaultData = this.getDefaultChartData();
-    if (defaultData && defaultData.length > 0) {
-        return defaultData;
-    }
+/**
+ * Chart points for a period ('1D', '1W', '1M', '3M', '1Y' or 'ALL'),
+ * in the selected currency. Uses the user's history at the resolution
+ * the period needs, then the bundled demo data, then generated data.
+ * With `symbol`, only that asset's history is used.
+ */
+AnomCAT.generateChartData = function(period = this.chartPeriod, symbol = null) {
+    const config = CHART_PERIODS[period] || CHART_PERIODS[DEFAULT_CHART_PERIOD];
     
     // If we have user history data, use it
-    if (this.portfolio.history.length > 1) {
-        return this.portfolio.history.map(point => ({
+    const history = symbol ? this.getAssetHistory(symbol, period) : this.getHistory(period);
+    if (history.length > 1 || symbol) {
+        return history.map(point => ({
             time: point.time,
-            value: this.currency === 'EUR' ? point.value * this.btcToEurRate : point.value
+            value: this.toHistoricalValue(point.value, point.eurValue)
         }));
     }
     
+    // Otherwise show the loaded JSON demo data, ending at its last point
+    const defaultData = this.getDefaultChartData();
+    if (defaultData && defaultData.length > 0) {
+        const from = defaultData[defaultData.length - 1].time - config.span;
+        const slice = defaultData.filter(point => point.time >= from);
+        return slice.length > 1 ? slice : defaultData;
+    }
+    
     // Generate fallback data for display
     const data = [];
     const now = Date.now();
+    const days = Math.max(1, Math.min(365, Math.round(config.span / MS_PER_DAY)));
     const startValue = this.portfolio.initialBtc || 1;
     let currentValue = startValue;
     
     for (let i = days; i >= 0; i--) {
-        const time = now - (i * 24 * 60 * 60 * 1000);
+        const time = now - (i * MS_PER_DAY);
         // Simulate growth with some variance
-        const dailyReturn = this.bot.monthlyReturn / 30;
+        const dailyReturn = this.bot.monthlyReturn / DAYS_PER_MONTH;
         const variance = (Math.random() - 0.5) * dailyReturn * 0.5;
         currentValue *= (1 + dailyReturn + variance);
         
         data.push({
             time: time,
-            value: this.currency === 'EUR' ? currentValue * this.btcToEurRate : currentValue
+            value: this.toDisplayValue(currentValue)
         });
     }
     
     return data;
 };
 
+// Axis label for a chart point, matching the selected period
+AnomCAT.formatChartLabel = function(time) {
+    const date = new Date(time);
+    if (this.chartPeriod === '1D') {
+        return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+    }
+    if (this.chartPeriod === '1Y' || this.chartPeriod === 'ALL') {
+        return date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+    }
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
 // Make AnomCAT globally available
 window.AnomCAT = AnomCAT;
@@ -0,0 +1,170 @@
+/**
+ * AnomCAT v1.01 - Authentication
+ * Local accounts with hashed passwords, and demo mode
+ *
+ * Accounts registered in the app live on this device only. Passwords are
+ * never stored: each credential holds a random salt and a PBKDF2-SHA256
+ * hash (see assets/js/crypto.js). The profiles in assets/data/users.json
+ * are demo profiles; they have no password and are only reachable through
+ * the explicit demo sign-in. Sessions are handled by AnomCAT.signIn().
+ * Accounts with two-factor authentication (see assets/js/totp.js) are
+ * only signed in once completeSignIn() has checked their code.
+ *
+ * @module AnomCAT/auth
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const CREDENTIALS_KEY = 'anomcat_credentials';
+const MIN_PASSWORD_LENGTH = 8;
+const DEMO_EMAIL = 'demo@anomcat.io'; // Used when users.json is unavailable
+
+// ============================================
+// Credential Store
+// ============================================
+// Credentials by lower-case email
+AnomCAT.getCredentials = function() {
+    try {
+        return JSON.parse(localStorage.getItem(CREDENTIALS_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+};
+
+AnomCAT.saveCredential = function(credential) {
+    const credentials = this.getCredentials();
+    credentials[credential.email.toLowerCase()] = credential;
+    localStorage.setItem(CREDENTIALS_KEY, JSON.stringify(credentials));
+};
+
+AnomCAT.isDemoProfile = function(email) {
+    const users = (this.usersData && this.usersData.users) || [];
+    return email.toLowerCase() === DEMO_EMAIL || users.some(user => user.email.toLowerCase() === email.toLowerCase());
+};
+
+/**
+ * Register a local account and sign it in.
+ * @param {{name: string, email: string, password: string, referredBy: (string|undefined)}} details -
+ *   `referredBy` is the referral code the account was invited with (see assets/js/referrals.js)
+ * @returns {Promise<Object>} The signed-in account
+ * @throws {Error} For invalid details or an email that is taken
+ */
+AnomCAT.registerAccount = async function(details) {
+    const name = (details.name || '').trim();
+    const email = (details.email || '').trim();
+
+    if (!name) {
+        throw new Error('Enter your name');
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw new Error('Enter a valid email address');
+    }
+    if ((details.password || '').length < MIN_PASSWORD_LENGTH) {
+        throw new Error('The password must be at least ' + MIN_PASSWORD_LENGTH + ' characters');
+    }
+    if (!this.usersData) {
+        await this.loadUsersData();
+    }
+    if (this.isDemoProfile(email)) {
+        throw new Error('This email belongs to a demo profile. Use demo mode instead.');
+    }
+    if (this.getCredentials()[email.toLowerCase()]) {
+        throw new Error('An account with this email already exists on this device');
+    }
+
+    const salt = this.crypto.createSalt();
+    this.saveCredential({
+        email: email,
+        name: name,
+        salt: salt,
+        iterations: PBKDF2_ITERATIONS,
+        hash: await this.crypto.hashPassword(details.password, salt),
+        createdAt: Date.now()
+    });
+
+    const user = { email: email, name: name };
+    if (details.referredBy) {
+        user.referredBy = details.referredBy;
+    }
+    return this.signIn(user);
+};
+
+/**
+ * Check an email and password against the credential store and sign the
+ * account in.
+ * @returns {Promise<?Object>} The signed-in account, or null when a 2FA
+ *   code is needed first (see completeSignIn)
+ * @throws {Error} When the credentials do not match
+ */
+AnomCAT.signInWithPassword = async function(email, password) {
+    const credential = this.getCredentials()[(email || '').trim().toLowerCase()];
+
+    // Hash even for unknown emails, so both failures take as long
+    const salt = credential ? credential.salt : this.crypto.createSalt();
+    const iterations = credential ? credential.iterations : PBKDF2_ITERATIONS;
+    const hash = await this.crypto.hashPassword(password || '', salt, iterations);
+
+    if (!credential || !this.crypto.timingSafeEqual(hash, credential.hash)) {
+        throw new Error('Incorrect email or password');
+    }
+
+    // Rehash credentials stored with fewer iterations than today's
+    if (credential.iterations < PBKDF2_ITERATIONS) {
+        credential.salt = this.crypto.createSalt();
+        credential.iterations = PBKDF2_ITERATIONS;
+        credential.hash = await this.crypto.hashPassword(password, credential.salt);
+        this.saveCredential(credential);
+    }
+
+    return this.beginSignIn({ email: credential.email, name: credential.name });
+};
+
+// Sign in, or hold the sign-in for completeSignIn() when the account
+// has 2FA
+AnomCAT.beginSignIn = function(user, options) {
+    if (this.isTwoFactorEnabled(this.getAccountId(user))) {
+        this.pendingSignIn = { user: user, options: options };
+        return null;
+    }
+    return this.signIn(user, options);
+};
+
+/**
+ * Finish a sign-in held by beginSignIn() with a TOTP or recovery code.
+ * @returns {Promise<Object>} The signed-in account
+ * @throws {Error} When the code is wrong or no sign-in is pending
+ */
+AnomCAT.completeSignIn = async function(code) {
+    if (!this.pendingSignIn) {
+        throw new Error('Sign in again');
+    }
+    const { user, options } = this.pendingSignIn;
+    if (!await this.verifyTwoFactor(this.getAccountId(user), code)) {
+        throw new Error('Invalid code');
+    }
+    this.pendingSignIn = null;
+    return this.signIn(user, options);
+};
+
+// ============================================
+// Demo Mode
+// ============================================
+// Demo profile from users.json
+AnomCAT.getDemoUser = async function() {
+    if (!this.usersData) {
+        await this.loadUsersData();
+    }
+    const data = this.usersData || {};
+    const email = data.demoCredentials ? data.demoCredentials.email : DEMO_EMAIL;
+    const user = (data.users || []).find(u => u.email.toLowerCase() === email.toLowerCase());
+    return user || { email: email, name: 'Demo User' };
+};
+
+// Sign in to the demo profile; `name` overrides the profile's name.
+// Resolves with null when a 2FA code is needed (see completeSignIn).
+AnomCAT.signInDemo = async function(name) {
+    const user = await this.getDemoUser();
+    return this.beginSignIn(Object.assign({}, user, name ? { name: name } : {}), { demo: true });
+};
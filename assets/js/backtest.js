@@ -0,0 +1,196 @@
+/**
+ * AnomCAT v1.01 - Backtesting
+ * Replays a price history through the trading engine
+ *
+ * Uses the same strategies and fill logic as the live bot, so a report
+ * shows what the current configuration would have done over the given
+ * history. Price histories come from the bundled chart data or from an
+ * imported OHLCV CSV file.
+ *
+ * @module AnomCAT/backtest
+ * @version 1.01
+ */
+
+// ============================================
+// Price History Sources
+// ============================================
+AnomCAT.getBundledPriceHistory = function() {
+    const data = this.defaultChartData;
+    if (!data) return null;
+
+    if (data.priceHistory && data.priceHistory.length > 0) {
+        return data.priceHistory.map(bar => ({
+            time: new Date(bar.date).getTime(),
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            volume: bar.volume
+        }));
+    }
+
+    // Older chart data only has portfolio values; derive the BTC/EUR rate
+    if (data.portfolioHistory && data.portfolioHistory.length > 0) {
+        return data.portfolioHistory.map(point => {
+            const price = point.eurValue / point.btcValue;
+            return {
+                time: new Date(point.date).getTime(),
+                open: price,
+                high: price,
+                low: price,
+                close: price,
+                volume: 0
+            };
+        });
+    }
+
+    return null;
+};
+
+/**
+ * Parse an OHLCV CSV export into bars sorted by time.
+ * Columns are matched by header name (date/time/timestamp, open, high,
+ * low, close, volume). Without a header row the order
+ * time,open,high,low,close,volume is assumed.
+ */
+AnomCAT.parseOHLCV = function(text) {
+    const lines = String(text).split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+    if (lines.length === 0) {
+        throw new Error('The CSV file is empty');
+    }
+
+    const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ',';
+    const split = line => line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, ''));
+
+    let columns = { time: 0, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+    const first = split(lines[0]);
+    const hasHeader = first.some(cell => cell !== '' && isNaN(Number(cell)) && isNaN(Date.parse(cell)));
+
+    if (hasHeader) {
+        const header = first.map(cell => cell.toLowerCase());
+        const find = names => header.findIndex(cell => names.includes(cell));
+        columns = {
+            time: find(['time', 'date', 'timestamp', 'datetime', 'open time']),
+            open: find(['open']),
+            high: find(['high']),
+            low: find(['low']),
+            close: find(['close', 'price', 'adj close']),
+            volume: find(['volume', 'vol'])
+        };
+        if (columns.time < 0 || columns.close < 0) {
+            throw new Error('The CSV needs a date/time column and a close column');
+        }
+        lines.shift();
+    }
+
+    const parseTime = value => {
+        const numeric = Number(value);
+        if (value !== '' && !isNaN(numeric)) {
+            // Unix seconds or milliseconds
+            return numeric < 1e12 ? numeric * 1000 : numeric;
+        }
+        return Date.parse(value);
+    };
+
+    const bars = [];
+    lines.forEach(line => {
+        const cells = split(line);
+        const time = parseTime(cells[columns.time]);
+        const close = parseFloat(cells[columns.close]);
+        if (isNaN(time) || isNaN(close) || close <= 0) return;
+
+        const value = (index, fallback) => {
+            const parsed = index >= 0 ? parseFloat(cells[index]) : NaN;
+            return isNaN(parsed) ? fallback : parsed;
+        };
+
+        bars.push({
+            time: time,
+            open: value(columns.open, close),
+            high: value(columns.high, close),
+            low: value(columns.low, close),
+            close: close,
+            volume: value(columns.volume, 0)
+        });
+    });
+
+    if (bars.length === 0) {
+        throw new Error('No valid price rows found in the CSV');
+    }
+
+    return bars.sort((a, b) => a.time - b.time);
+};
+
+// ============================================
+// Backtest Runner
+// ============================================
+/**
+ * Run a strategy over historical bars.
+ * @param {Array<{time: number, close: number}>} bars - Oldest first
+ * @param {Object} [options]
+ * @param {string} [options.strategy] - Strategy id, defaults to the bot's
+ * @param {number} [options.startBalance=1] - Starting balance in BTC
+ * @param {string} [options.riskProfile] - Risk profile id, defaults to the bot's
+ * @returns {Object} Report with equity curve, trade count, win rate, fees and final balance
+ */
+AnomCAT.runBacktest = function(bars, options = {}) {
+    if (!Array.isArray(bars) || bars.length < 2) {
+        throw new Error('At least two price bars are needed for a backtest');
+    }
+
+    const strategy = this.getStrategy(options.strategy);
+    if (!strategy) {
+        throw new Error('No trading strategy is available');
+    }
+
+    const startBalance = options.startBalance > 0 ? options.startBalance : 1;
+    const risk = this.getRiskProfile(options.riskProfile);
+    const limits = this.getRiskLimits(risk);
+    const account = { btcBalance: startBalance, holdings: { BTC: startBalance }, position: null };
+    const closes = bars.map(bar => bar.close);
+    const signals = strategy.generateSignals(closes, strategy.params);
+
+    const equityCurve = [];
+    const fills = [];
+    let feesPaid = 0;
+    let peak = startBalance;
+    let maxDrawdown = 0;
+
+    bars.forEach((bar, i) => {
+        this.markHoldings(account, bar.close);
+
+        // The history only has BTC/EUR prices, so positions are held in EURC
+        const fill = this.applySignal(account, signals[i], bar.close, bar.time, limits, DEFAULT_TRADE_ASSET);
+        if (fill) {
+            fills.push(fill);
+            feesPaid += fill.fee;
+        }
+
+        peak = Math.max(peak, account.btcBalance);
+        maxDrawdown = Math.max(maxDrawdown, (peak - account.btcBalance) / peak);
+        equityCurve.push({ time: bar.time, value: account.btcBalance });
+    });
+
+    const closed = fills.filter(fill => fill.side === 'buy');
+    const wins = closed.filter(fill => fill.pnl > 0).length;
+
+    return {
+        strategy: strategy.id,
+        strategyName: strategy.name,
+        riskProfile: risk.name,
+        startTime: bars[0].time,
+        endTime: bars[bars.length - 1].time,
+        bars: bars.length,
+        startBalance: startBalance,
+        finalBalance: account.btcBalance,
+        returnPct: (account.btcBalance - startBalance) / startBalance * 100,
+        trades: fills.length,
+        roundTrips: closed.length,
+        winRate: closed.length > 0 ? wins / closed.length * 100 : null,
+        feesPaid: feesPaid,
+        maxDrawdown: maxDrawdown * 100,
+        openPosition: account.position !== null,
+        equityCurve: equityCurve,
+        fills: fills
+    };
+};
@@ -0,0 +1,186 @@
+/**
+ * AnomCAT v1.01 - Backup & Restore
+ * Moves the full app state between devices as one JSON file
+ *
+ * A backup holds the portfolio (with history and trades), bot settings,
+ * the simulated market, the notification inbox, display settings and the
+ * user profile. The data is checksummed with SHA-256 and can be encrypted
+ * with a passphrase (PBKDF2 + AES-GCM, see assets/js/crypto.js). Backups
+ * from older versions are upgraded with the storage migrations on restore;
+ * files from newer versions are refused. A backup is always restored into
+ * the signed-in account; the profile it holds is for reference only.
+ *
+ * @module AnomCAT/backup
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const BACKUP_FORMAT = 'anomcat-backup';
+const BACKUP_VERSION = 1; // Layout of the backup file itself
+
+// ============================================
+// Export
+// ============================================
+/**
+ * Build a backup file.
+ * @param {string} [passphrase] - Encrypts the data when given
+ * @returns {Promise<string>} JSON text
+ */
+AnomCAT.createBackup = async function(passphrase) {
+    const data = Object.assign(this.getState(), { user: this.getCurrentUser() });
+
+    const json = JSON.stringify(data);
+    const backup = {
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        schemaVersion: STORAGE_SCHEMA_VERSION,
+        createdAt: new Date().toISOString(),
+        checksum: await this.crypto.sha256(json),
+        encrypted: !!passphrase
+    };
+
+    if (passphrase) {
+        const salt = this.crypto.createSalt();
+        const key = await this.crypto.deriveKey(passphrase, salt);
+        const encrypted = await this.crypto.encrypt(key, json);
+        backup.encryption = {
+            algorithm: 'AES-GCM',
+            kdf: 'PBKDF2-SHA256',
+            iterations: PBKDF2_ITERATIONS,
+            salt: salt,
+            iv: encrypted.iv
+        };
+        backup.data = encrypted.ciphertext;
+    } else {
+        backup.data = data;
+    }
+
+    return JSON.stringify(backup, null, 2);
+};
+
+// Download a backup file
+AnomCAT.exportBackup = async function(passphrase) {
+    const text = await this.createBackup(passphrase);
+    this.downloadFile(text, 'anomcat-backup-' + new Date().toISOString().slice(0, 10) + '.json', 'application/json');
+};
+
+// ============================================
+// Restore
+// ============================================
+/**
+ * Parse and check the envelope of a backup file. Does not decrypt.
+ * @throws {Error} For files that are not backups, are damaged or are newer
+ */
+AnomCAT.parseBackup = function(text) {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The file is not a valid backup (invalid JSON)');
+    }
+
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        throw new Error('The file is not an AnomCAT backup');
+    }
+    if (typeof backup.version !== 'number' || typeof backup.schemaVersion !== 'number' ||
+        typeof backup.checksum !== 'string' || backup.data === undefined) {
+        throw new Error('The backup is damaged (missing fields)');
+    }
+    if (backup.version > BACKUP_VERSION || backup.schemaVersion > STORAGE_SCHEMA_VERSION) {
+        throw new Error('The backup was made by a newer version of AnomCAT. Update the app and try again.');
+    }
+    if (backup.encrypted && (typeof backup.data !== 'string' || !backup.encryption ||
+        !backup.encryption.salt || !backup.encryption.iv)) {
+        throw new Error('The backup is damaged (missing encryption details)');
+    }
+
+    return backup;
+};
+
+/**
+ * Decrypt (if needed) and verify a parsed backup, and bring its data up
+ * to the current schema.
+ * @returns {Promise<Object>} Backup data, ready for restoreBackup()
+ */
+AnomCAT.openBackup = async function(backup, passphrase) {
+    let json;
+    if (backup.encrypted) {
+        if (!passphrase) {
+            throw new Error('This backup is encrypted. Enter its passphrase.');
+        }
+        const key = await this.crypto.deriveKey(passphrase, backup.encryption.salt, backup.encryption.iterations);
+        json = await this.crypto.decrypt(key, backup.encryption.iv, backup.data);
+    } else {
+        json = JSON.stringify(backup.data);
+    }
+
+    if (await this.crypto.sha256(json) !== backup.checksum) {
+        throw new Error('The backup is damaged (checksum mismatch)');
+    }
+
+    const data = JSON.parse(json);
+    data.schemaVersion = backup.schemaVersion;
+    this.storage.migrate(data);
+
+    const portfolio = data.portfolio;
+    if (!portfolio || typeof portfolio.btcBalance !== 'number' || !Array.isArray(portfolio.trades) || !data.bot) {
+        throw new Error('The backup is damaged (incomplete portfolio)');
+    }
+
+    return data;
+};
+
+/**
+ * What restoring `data` would change, as lines like
+ * "Balance: 0.50000000 BTC → 0.62000000 BTC".
+ */
+AnomCAT.describeBackupChanges = function(data) {
+    const changes = [];
+    const compare = (label, current, restored) => {
+        if (current !== restored) {
+            changes.push(label + ': ' + current + ' → ' + restored);
+        }
+    };
+    const historyStart = history => {
+        const firsts = Object.values(history || {})
+            .filter(points => Array.isArray(points) && points.length > 0)
+            .map(points => points[0].time);
+        return firsts.length > 0 ? this.formatDate(Math.min(...firsts)) : 'none';
+    };
+    const riskName = bot => bot.riskProfile === 'custom'
+        ? 'Custom'
+        : (RISK_PROFILES[bot.riskProfile] || RISK_PROFILES[DEFAULT_RISK_PROFILE]).name;
+
+    compare('Balance', this.formatBTC(this.portfolio.btcBalance), this.formatBTC(data.portfolio.btcBalance));
+    compare('CAT account', this.formatBTC(this.portfolio.cat.btcBalance), this.formatBTC(data.portfolio.cat.btcBalance));
+    compare('Deposited', this.formatBTC(this.portfolio.initialBtc), this.formatBTC(data.portfolio.initialBtc));
+    compare('Withdrawn', this.formatBTC(this.portfolio.withdrawnBtc), this.formatBTC(data.portfolio.withdrawnBtc || 0));
+    compare('Transactions', this.portfolio.trades.length, data.portfolio.trades.length);
+    compare('History since', historyStart(this.portfolio.history), historyStart(data.portfolio.history));
+    compare('Bot', this.bot.active ? 'active' : 'paused', data.bot.active ? 'active' : 'paused');
+    compare('Strategy', this.getStrategy().name, this.getStrategy(data.bot.strategy).name);
+    compare('Risk level', riskName(this.bot), riskName(data.bot));
+    compare('Currency', this.currency, (data.settings && data.settings.currency) || this.currency);
+
+    return changes;
+};
+
+// Replace all state with the backup data and save it. Rejects when the
+// data could not be stored.
+AnomCAT.restoreBackup = async function(data) {
+    this.portfolio = data.portfolio;
+    this.bot = data.bot;
+    if (data.market) {
+        this.market = data.market;
+    }
+    if (data.notifications) {
+        this.notifications = data.notifications;
+    }
+    if (data.settings) {
+        this.applySettings(data.settings);
+    }
+
+    await this.storage.save(this.getState());
+};
@@ -0,0 +1,149 @@
+/**
+ * AnomCAT v1.01 - Crypto Helpers
+ * Thin wrappers around the WebCrypto API
+ *
+ * Keys are derived from passphrases with PBKDF2 and used with AES-GCM;
+ * passwords are stored as PBKDF2 hashes.
+ * Binary values are passed around as base64 strings so they can be
+ * stored as JSON. WebCrypto is only available in secure contexts
+ * (HTTPS or localhost).
+ *
+ * @module AnomCAT/crypto
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const PBKDF2_ITERATIONS = 600000; // OWASP recommendation for PBKDF2-SHA256
+const CRYPTO_SALT_BYTES = 16;
+const CRYPTO_IV_BYTES = 12; // AES-GCM standard nonce size
+
+// ============================================
+// Crypto Helpers
+// ============================================
+AnomCAT.crypto = {
+    isSupported: function() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    },
+
+    requireSupport: function() {
+        if (!this.isSupported()) {
+            throw new Error('Encryption needs a secure (HTTPS) connection');
+        }
+    },
+
+    randomBytes: function(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    },
+
+    toBase64: function(bytes) {
+        let binary = '';
+        new Uint8Array(bytes).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    },
+
+    fromBase64: function(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    },
+
+    toHex: function(bytes) {
+        return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    // SHA-256 of a string, as hex
+    sha256: async function(text) {
+        this.requireSupport();
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return this.toHex(digest);
+    },
+
+    /**
+     * Derive an AES-GCM key from a passphrase. The key cannot be exported.
+     * @param {string} passphrase
+     * @param {string} salt - Base64
+     * @param {number} [iterations=PBKDF2_ITERATIONS]
+     * @returns {Promise<CryptoKey>}
+     */
+    deriveKey: async function(passphrase, salt, iterations = PBKDF2_ITERATIONS) {
+        this.requireSupport();
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: this.fromBase64(salt), iterations: iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    /**
+     * Hash a password with PBKDF2-SHA256 for storage.
+     * @param {string} password
+     * @param {string} salt - Base64
+     * @param {number} [iterations=PBKDF2_ITERATIONS]
+     * @returns {Promise<string>} Base64 of the 256-bit hash
+     */
+    hashPassword: async function(password, salt, iterations = PBKDF2_ITERATIONS) {
+        this.requireSupport();
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', salt: this.fromBase64(salt), iterations: iterations, hash: 'SHA-256' },
+            material,
+            256
+        );
+        return this.toBase64(bits);
+    },
+
+    // Compare two strings in time independent of where they differ
+    timingSafeEqual: function(a, b) {
+        if (a.length !== b.length) return false;
+        let difference = 0;
+        for (let i = 0; i < a.length; i++) {
+            difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+        }
+        return difference === 0;
+    },
+
+    // A new random salt for deriveKey() or hashPassword(), as base64
+    createSalt: function() {
+        return this.toBase64(this.randomBytes(CRYPTO_SALT_BYTES));
+    },
+
+    /**
+     * Encrypt a string with AES-GCM.
+     * @returns {Promise<{iv: string, ciphertext: string}>} Base64 values
+     */
+    encrypt: async function(key, text) {
+        this.requireSupport();
+        const iv = this.randomBytes(CRYPTO_IV_BYTES);
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(text)
+        );
+        return { iv: this.toBase64(iv), ciphertext: this.toBase64(ciphertext) };
+    },
+
+    // Decrypt a value from encrypt(). Fails for a wrong key or altered data.
+    decrypt: async function(key, iv, ciphertext) {
+        this.requireSupport();
+        try {
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(iv) }, key, this.fromBase64(ciphertext)
+            );
+            return new TextDecoder().decode(plaintext);
+        } catch (e) {
+            throw new Error('Wrong passphrase or damaged data');
+        }
+    }
+};
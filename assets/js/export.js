@@ -0,0 +1,203 @@
+/**
+ * AnomCAT v1.01 - Transaction Export
+ * CSV exports of the transaction history
+ *
+ * Besides a plain CSV, transactions can be exported in the import
+ * layouts of Koinly (universal format) and CoinTracking. Tracker formats
+ * only contain entries that moved funds: risk profile changes and trades
+ * recorded before the strategy engine are left out. Fees are reported
+ * separately from the amounts, so each row adds up to the balance change.
+ *
+ * @module AnomCAT/export
+ * @version 1.01
+ */
+
+// ============================================
+// Helpers
+// ============================================
+// Quote a CSV cell when needed and keep spreadsheets from running
+// text that looks like a formula
+AnomCAT.csvCell = function(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text) && isNaN(Number(text))) {
+        text = "'" + text;
+    }
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+};
+
+AnomCAT.toCsv = function(rows) {
+    return rows.map(row => row.map(cell => this.csvCell(cell)).join(',')).join('\r\n') + '\r\n';
+};
+
+// "2024-01-31 18:05:00" in UTC
+AnomCAT.formatUtcTimestamp = function(time) {
+    return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+};
+
+// EUR value of a transaction at the time it happened
+AnomCAT.getTransactionEurValue = function(trade) {
+    if (typeof trade.fiatAmount === 'number') {
+        return trade.fiatAmount;
+    }
+    return trade.amount * (trade.eurRate || trade.price || this.btcToEurRate);
+};
+
+/**
+ * Split a transaction into the legs trackers expect.
+ * Returns null for entries that did not move funds.
+ * @returns {{sent: ?{amount: number, currency: string}, received: ?{amount: number, currency: string}, fee: number, feeCurrency: string}}
+ */
+AnomCAT.getTransactionLegs = function(trade) {
+    const fee = trade.fee || 0;
+    const leg = (amount, currency) => ({ amount: amount, currency: currency });
+    const btc = amount => leg(amount, 'BTC');
+    // Bot trades before multiple assets went to EUR
+    const other = amount => trade.asset ? leg(trade.quantity, trade.asset) : leg(amount, 'EUR');
+
+    switch (trade.type) {
+        case 'deposit':
+        case 'referral':
+            return { sent: null, received: btc(trade.amount), fee: 0, feeCurrency: 'BTC' };
+        case 'withdrawal':
+            return { sent: btc(trade.amount), received: null, fee: fee, feeCurrency: 'BTC' };
+        case 'trade':
+            if (trade.side === 'sell') {
+                // The amount includes the fee
+                return { sent: btc(trade.amount - fee), received: other(trade.fiatAmount), fee: fee, feeCurrency: 'BTC' };
+            }
+            if (trade.side === 'buy') {
+                // The amount is what arrived after the fee
+                return { sent: other(trade.fiatAmount), received: btc(trade.amount + fee), fee: fee, feeCurrency: 'BTC' };
+            }
+            return null;
+        case 'transfer':
+            // Between the user's own wallets only the fee leaves
+            return trade.fee > 0 ? { sent: btc(trade.fee), received: null, fee: 0, feeCurrency: 'BTC' } : null;
+        case 'swap':
+            // The fee is taken from the amount swapped
+            return {
+                sent: leg(trade.fromAmount - fee, trade.fromAsset),
+                received: leg(trade.toAmount, trade.toAsset),
+                fee: fee,
+                feeCurrency: trade.feeAsset
+            };
+        default:
+            return null;
+    }
+};
+
+// Amount of a leg from getTransactionLegs(), '' for a missing leg. EUR
+// and the EUR stablecoin are given to the cent.
+AnomCAT.formatLegAmount = function(leg) {
+    return leg ? leg.amount.toFixed(leg.currency === 'EUR' || leg.currency === 'EURC' ? 2 : 8) : '';
+};
+
+// ============================================
+// Formats
+// ============================================
+AnomCAT.exportFormats = {
+    csv: {
+        name: 'CSV',
+        header: ['ID', 'Date (UTC)', 'Type', 'Side', 'Amount (BTC)', 'Fee (BTC)', 'EUR Rate', 'EUR Value', 'Description'],
+        row: function(trade) {
+            const { title, subtitle, isPositive } = AnomCAT.describeTransaction(trade);
+            const rate = trade.eurRate || trade.price || AnomCAT.btcToEurRate;
+            // The column is BTC; swap fees in other assets are left out
+            const fee = !trade.feeAsset || trade.feeAsset === 'BTC' ? trade.fee || 0 : 0;
+            return [
+                trade.id,
+                new Date(trade.time).toISOString(),
+                trade.type,
+                trade.side || '',
+                ((isPositive ? 1 : -1) * trade.amount).toFixed(8),
+                fee.toFixed(8),
+                rate.toFixed(2),
+                AnomCAT.getTransactionEurValue(trade).toFixed(2),
+                title + ' – ' + subtitle
+            ];
+        }
+    },
+
+    koinly: {
+        name: 'Koinly',
+        header: ['Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency',
+            'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash'],
+        row: function(trade) {
+            const legs = AnomCAT.getTransactionLegs(trade);
+            if (!legs) return null;
+
+            return [
+                AnomCAT.formatUtcTimestamp(trade.time) + ' UTC',
+                AnomCAT.formatLegAmount(legs.sent),
+                legs.sent ? legs.sent.currency : '',
+                AnomCAT.formatLegAmount(legs.received),
+                legs.received ? legs.received.currency : '',
+                legs.fee ? legs.fee.toFixed(8) : '',
+                legs.fee ? legs.feeCurrency : '',
+                AnomCAT.getTransactionEurValue(trade).toFixed(2),
+                'EUR',
+                '',
+                AnomCAT.describeTransaction(trade).title,
+                trade.id
+            ];
+        }
+    },
+
+    cointracking: {
+        name: 'CoinTracking',
+        header: ['Type', 'Buy Amount', 'Buy Currency', 'Sell Amount', 'Sell Currency', 'Fee', 'Fee Currency',
+            'Exchange', 'Trade-Group', 'Comment', 'Date', 'Tx-ID'],
+        row: function(trade) {
+            const legs = AnomCAT.getTransactionLegs(trade);
+            if (!legs) return null;
+
+            const types = { deposit: 'Deposit', withdrawal: 'Withdrawal', trade: 'Trade', swap: 'Trade', transfer: 'Other Fee', referral: 'Income' };
+            return [
+                types[trade.type],
+                AnomCAT.formatLegAmount(legs.received),
+                legs.received ? legs.received.currency : '',
+                AnomCAT.formatLegAmount(legs.sent),
+                legs.sent ? legs.sent.currency : '',
+                legs.fee ? legs.fee.toFixed(8) : '',
+                legs.fee ? legs.feeCurrency : '',
+                'AnomCAT',
+                trade.strategy || '',
+                AnomCAT.describeTransaction(trade).title,
+                AnomCAT.formatUtcTimestamp(trade.time),
+                trade.id
+            ];
+        }
+    }
+};
+
+// ============================================
+// Export
+// ============================================
+/**
+ * Build an export of `trades` (newest first, as stored) in one of
+ * AnomCAT.exportFormats. Rows are written oldest first.
+ * @returns {{csv: string, rows: number}}
+ */
+AnomCAT.exportTransactions = function(trades, formatId = 'csv') {
+    const format = this.exportFormats[formatId];
+    if (!format) {
+        throw new Error('Unknown export format: ' + formatId);
+    }
+
+    const rows = trades.slice().reverse()
+        .map(trade => format.row(trade))
+        .filter(row => row !== null);
+
+    return { csv: this.toCsv([format.header].concat(rows)), rows: rows.length };
+};
+
+// Download an export; returns the number of rows written
+AnomCAT.downloadTransactions = function(trades, formatId, label = 'all') {
+    const result = this.exportTransactions(trades, formatId);
+    if (result.rows > 0) {
+        const date = new Date().toISOString().slice(0, 10);
+        this.downloadFile(result.csv, `anomcat-${formatId}-${label}-${date}.csv`, 'text/csv');
+    }
+    return result.rows;
+};
@@ -0,0 +1,312 @@
+/**
+ * AnomCAT v1.01 - Notifications
+ * In-app inbox and system notifications
+ *
+ * Deposits, withdrawals, transfers between the wallets, trades (the
+ * bot's and filled manual orders), referral bonuses, starting and pausing
+ * the bot and return milestones add an entry to the account's inbox
+ * ({ id, time, type, title, message, link, read }), the format of
+ * `notifications` in data/mock_db.json. The bell in the header shows the
+ * unread count and opens the inbox.
+ *
+ * With the Notifications setting on and the browser's permission granted,
+ * each entry is also shown as a system notification through the service
+ * worker (see sw.js). Trades replayed by catchUp() are summed up in one
+ * entry instead.
+ *
+ * @module AnomCAT/notifications
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const NOTIFICATION_LIMIT = 100; // Entries kept in the inbox
+const NOTIFICATION_TYPES = ['success', 'info', 'warning', 'error'];
+const ROI_MILESTONES = [1, 5, 10, 25, 50, 100]; // Percent
+const NOTIFICATION_ICON = "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' viewBox='0 0 100 100'%3E%3Crect width='100' height='100' rx='20' fill='%233b82f6'/%3E%3Ctext x='50' y='65' font-size='50' text-anchor='middle' fill='white'%3EA%3C/text%3E%3C/svg%3E";
+
+// ============================================
+// Inbox
+// ============================================
+/**
+ * Add an entry to the inbox and show it as a system notification when
+ * allowed.
+ * @param {string} type - 'success', 'info', 'warning' or 'error'
+ * @param {string} title
+ * @param {string} message
+ * @param {Object} [options]
+ * @param {string} [options.link] - Page the entry opens, e.g. 'wallet.html'
+ * @param {number} [options.time] - When it happened (default: now)
+ * @returns {Object} The entry
+ */
+AnomCAT.notify = function(type, title, message, options = {}) {
+    const time = options.time || Date.now();
+    const notification = {
+        id: 'ntf-' + time.toString(36) + '-' + crypto.getRandomValues(new Uint32Array(1))[0].toString(36),
+        time: time,
+        type: NOTIFICATION_TYPES.includes(type) ? type : 'info',
+        title: title,
+        message: message,
+        link: options.link || null,
+        read: false
+    };
+
+    const inbox = this.notifications.inbox;
+    inbox.unshift(notification);
+    if (inbox.length > NOTIFICATION_LIMIT) {
+        inbox.length = NOTIFICATION_LIMIT;
+    }
+
+    if (!this.isCatchingUp) {
+        this.saveToStorage();
+        this.showSystemNotification(notification);
+    }
+    this.renderNotifications();
+    return notification;
+};
+
+AnomCAT.getUnreadCount = function() {
+    return this.notifications.inbox.filter(notification => !notification.read).length;
+};
+
+AnomCAT.markNotificationRead = function(id) {
+    const notification = this.notifications.inbox.find(n => n.id === id);
+    if (!notification || notification.read) return;
+
+    notification.read = true;
+    this.saveToStorage();
+    this.renderNotifications();
+};
+
+AnomCAT.markAllNotificationsRead = function() {
+    this.notifications.inbox.forEach(notification => {
+        notification.read = true;
+    });
+    this.saveToStorage();
+    this.renderNotifications();
+};
+
+AnomCAT.clearNotifications = function() {
+    this.notifications.inbox = [];
+    this.saveToStorage();
+    this.renderNotifications();
+};
+
+// ============================================
+// System Notifications
+// ============================================
+// Whether entries are also shown outside the app
+AnomCAT.canShowSystemNotifications = function() {
+    return this.getPreferences().notifications &&
+        typeof Notification !== 'undefined' && Notification.permission === 'granted' &&
+        'serviceWorker' in navigator;
+};
+
+AnomCAT.showSystemNotification = function(notification) {
+    if (!this.canShowSystemNotifications()) return;
+
+    navigator.serviceWorker.ready.then(registration => registration.showNotification(notification.title, {
+        body: notification.message,
+        icon: NOTIFICATION_ICON,
+        tag: notification.id,
+        data: { url: notification.link || 'home.html' }
+    })).catch(e => {
+        console.warn('Could not show notification:', e.message);
+    });
+};
+
+/**
+ * Turn system notifications on or off. Turning them on asks the browser
+ * for permission when it has not been given yet.
+ * @returns {Promise<boolean>} Whether system notifications will be shown
+ */
+AnomCAT.setNotificationsEnabled = async function(enabled) {
+    this.setPreference('notifications', enabled);
+    if (!enabled) return false;
+
+    if (typeof Notification === 'undefined') return false;
+    if (Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+    return this.canShowSystemNotifications();
+};
+
+// ============================================
+// Events
+// ============================================
+AnomCAT.notifyTransaction = function(transaction) {
+    const options = { time: transaction.time, link: 'transactions.html' };
+    const amount = this.formatBTC(transaction.amount);
+
+    switch (transaction.type) {
+        case 'deposit':
+            this.notify('success', 'Deposit received', amount + ' added to your portfolio', options);
+            break;
+        case 'withdrawal':
+            this.notify('info', 'Withdrawal sent', amount + ' sent to ' + transaction.address.slice(0, 8) + '…', options);
+            break;
+        case 'transfer':
+            this.notify('info', 'Transfer completed', amount + ' moved to the ' + WALLETS[transaction.to].name, options);
+            break;
+        case 'referral':
+            this.notify('success', 'Referral bonus', amount + ' · ' + REFERRAL_BONUS_NAMES[transaction.bonus] + ' for ' + transaction.referral,
+                { time: transaction.time, link: 'referral.html' });
+            break;
+        case 'trade': {
+            if (!transaction.side) break;
+            const description = this.describeTransaction(transaction);
+            const title = transaction.source === 'manual'
+                ? 'Order filled: ' + description.title
+                : description.title;
+            this.notify('info', title, amount + ' · ' + description.subtitle, options);
+            break;
+        }
+    }
+};
+
+AnomCAT.notifyBotState = function(active, reason) {
+    if (active) {
+        this.notify('success', 'CAT bot started', 'Automated trading is running', { link: 'home.html' });
+    } else if (reason === 'transfer') {
+        this.notify('warning', 'CAT bot paused', 'The CAT account was emptied into the main wallet', { link: 'wallet.html' });
+    } else {
+        this.notify('info', 'CAT bot paused', 'Automated trading is paused', { link: 'settings.html' });
+    }
+};
+
+// Announce each return milestone once; losing it again does not reset it
+AnomCAT.checkMilestones = function() {
+    const roi = this.getROI();
+    const reached = ROI_MILESTONES.filter(milestone => roi >= milestone).pop();
+    if (!reached || reached <= this.notifications.milestone) return;
+
+    this.notifications.milestone = reached;
+    this.notify('success', 'Milestone reached', 'Your portfolio is up ' + reached + '% on what you deposited', { link: 'analytics.html' });
+};
+
+// ============================================
+// Notification Center
+// ============================================
+// The inbox panel under the header bell ([data-notification-bell])
+AnomCAT.initNotificationCenter = function() {
+    const bell = document.querySelector('[data-notification-bell]');
+    if (!bell) return;
+
+    const panel = document.createElement('div');
+    panel.className = 'notification-panel hidden';
+    panel.id = 'notificationPanel';
+    panel.innerHTML = `
+        <div class="notification-panel-header">
+            <h3 class="card-title">Notifications</h3>
+            <button type="button" class="btn btn-outline" data-mark-all-read>Mark all read</button>
+        </div>
+        <div class="notification-list" data-notification-list></div>
+    `;
+    document.body.appendChild(panel);
+    bell.setAttribute('aria-controls', panel.id);
+    bell.setAttribute('aria-expanded', 'false');
+
+    const toggle = open => {
+        panel.classList.toggle('hidden', !open);
+        bell.setAttribute('aria-expanded', String(open));
+    };
+
+    bell.addEventListener('click', e => {
+        e.stopPropagation();
+        toggle(panel.classList.contains('hidden'));
+    });
+    document.addEventListener('click', e => {
+        if (!panel.contains(e.target)) toggle(false);
+    });
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape') toggle(false);
+    });
+
+    // Opening an entry marks it read and goes to the page it is about
+    const open = item => {
+        const notification = this.notifications.inbox.find(n => n.id === item.dataset.notification);
+        this.markNotificationRead(item.dataset.notification);
+        if (notification && notification.link && !window.location.pathname.endsWith(notification.link)) {
+            window.location.href = notification.link;
+        }
+    };
+
+    const list = panel.querySelector('[data-notification-list]');
+    list.addEventListener('click', e => {
+        const item = e.target.closest('[data-notification]');
+        if (item) open(item);
+    });
+    list.addEventListener('keydown', e => {
+        const item = e.target.closest('[data-notification]');
+        if (item && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            open(item);
+        }
+    });
+    panel.querySelector('[data-mark-all-read]').addEventListener('click', () => this.markAllNotificationsRead());
+
+    this.renderNotifications();
+};
+
+// Redraw the unread badges and, when present, the inbox panel
+AnomCAT.renderNotifications = function() {
+    const unread = this.getUnreadCount();
+    document.querySelectorAll('[data-unread-count]').forEach(el => {
+        el.textContent = unread > 99 ? '99+' : String(unread);
+        el.classList.toggle('hidden', unread === 0);
+    });
+
+    const list = document.querySelector('[data-notification-list]');
+    if (!list) return;
+
+    const inbox = this.notifications.inbox;
+    if (inbox.length === 0) {
+        list.innerHTML = '<p class="notification-empty">No notifications yet</p>';
+        return;
+    }
+
+    list.innerHTML = inbox.map(notification => `
+        <div class="notification-item${notification.read ? '' : ' unread'}" data-notification="${notification.id}" role="button" tabindex="0">
+            <span class="notification-dot ${notification.type}"></span>
+            <div class="notification-content">
+                <div class="notification-title"></div>
+                <div class="notification-message"></div>
+                <div class="notification-time">${this.formatRelativeTime(notification.time)}</div>
+            </div>
+        </div>
+    `).join('');
+
+    // Titles and messages can hold addresses and other user input
+    list.querySelectorAll('[data-notification]').forEach((item, i) => {
+        item.querySelector('.notification-title').textContent = inbox[i].title;
+        item.querySelector('.notification-message').textContent = inbox[i].message;
+    });
+};
+
+// ============================================
+// Listeners
+// ============================================
+// Trades replayed after the app was closed, announced together
+let tradesWhileAway = 0;
+
+window.addEventListener('transactionAdded', e => {
+    if (AnomCAT.isCatchingUp) {
+        if (e.detail.type === 'trade') tradesWhileAway++;
+        return;
+    }
+    AnomCAT.notifyTransaction(e.detail);
+});
+
+window.addEventListener('caughtUp', () => {
+    if (tradesWhileAway > 0) {
+        AnomCAT.notify('info', 'While you were away',
+            tradesWhileAway + (tradesWhileAway === 1 ? ' trade was' : ' trades were') + ' made', { link: 'transactions.html' });
+        tradesWhileAway = 0;
+    }
+    AnomCAT.checkMilestones();
+});
+
+window.addEventListener('botStateChanged', e => AnomCAT.notifyBotState(e.detail.active, e.detail.reason));
+window.addEventListener('portfolioUpdated', () => AnomCAT.checkMilestones());
+AnomCAT.onReady(() => AnomCAT.initNotificationCenter());
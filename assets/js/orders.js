@@ -0,0 +1,337 @@
+/**
+ * AnomCAT v1.01 - Orders
+ * Manual market, limit and stop orders on the simulated BTC market
+ *
+ * Manual orders buy or sell a quantity of BTC against EURC in the main
+ * wallet, at the price of the market the bot trades on. They are evaluated
+ * by the same loop as the bot (see AnomCAT.updatePortfolio and
+ * AnomCAT.catchUp):
+ * - market: fills right away
+ * - limit: fills while the price is at the limit or better
+ * - stop: becomes a market order once the price reaches the stop
+ *
+ * Each evaluation fills at most ORDER_FILL_LIQUIDITY_BTC, so large orders
+ * are partially filled over several ticks. An order is open, partially
+ * filled, filled or cancelled; one that the balance no longer covers is
+ * cancelled with what it has filled so far. Open orders reserve the BTC
+ * (sells) or EURC (buys) they need, which swaps and new orders cannot use.
+ *
+ * Fills are 'trade' ledger entries with source 'manual'; the bot's own
+ * trades have source 'bot'.
+ *
+ * @module AnomCAT/orders
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const ORDER_TYPES = {
+    market: 'Market',
+    limit: 'Limit',
+    stop: 'Stop'
+};
+const ORDER_QUOTE_ASSET = 'EURC'; // What manual orders pay with and sell into
+const ORDER_MIN_QUANTITY = 0.0001; // BTC
+const ORDER_FILL_LIQUIDITY_BTC = 0.05; // Most BTC one evaluation can fill
+const ORDER_HISTORY_LIMIT = 50; // Closed orders kept besides the open ones
+
+// ============================================
+// Balances
+// ============================================
+// Quantity of an asset in the main wallet; the CAT account is the bot's
+AnomCAT.getFreeAmount = function(symbol) {
+    return Math.max(0, this.portfolio.holdings[symbol] || 0);
+};
+
+// Quantity of an asset that open orders still need, except order `exceptId`
+AnomCAT.getReservedAmount = function(symbol, exceptId = null) {
+    return this.getOpenOrders().reduce((sum, order) => {
+        if (order.id === exceptId) return sum;
+        const remaining = order.quantity - order.filled;
+        if (order.side === 'sell' && symbol === 'BTC') {
+            return sum + remaining;
+        }
+        if (order.side === 'buy' && symbol === ORDER_QUOTE_ASSET) {
+            return sum + remaining * (order.price || this.market.price);
+        }
+        return sum;
+    }, 0);
+};
+
+// ============================================
+// Order Book
+// ============================================
+AnomCAT.getOpenOrders = function() {
+    return (this.portfolio.orders || []).filter(order => order.status === 'open' || order.status === 'partially_filled');
+};
+
+AnomCAT.hasOpenOrders = function() {
+    return this.getOpenOrders().length > 0;
+};
+
+AnomCAT.createOrderId = function(time) {
+    const random = crypto.getRandomValues(new Uint32Array(1));
+    return 'ord-' + time.toString(36) + '-' + random[0].toString(36).padStart(7, '0');
+};
+
+/**
+ * Place a manual order. Market orders fill right away, as far as the
+ * liquidity of one evaluation allows.
+ * @param {{side: string, type: string, quantity: number, price: (number|undefined)}} params -
+ *   `quantity` in BTC; `price` in EUR is the limit or stop price
+ * @returns {{success: boolean, error: (string|undefined), order: (Object|undefined)}}
+ */
+AnomCAT.placeOrder = function(params) {
+    const side = params.side;
+    const type = params.type;
+    const quantity = parseFloat(params.quantity);
+    const price = type === 'market' ? null : parseFloat(params.price);
+
+    if (side !== 'buy' && side !== 'sell') {
+        return { success: false, error: 'Choose buy or sell' };
+    }
+    if (!ORDER_TYPES[type]) {
+        return { success: false, error: 'Unknown order type' };
+    }
+    if (isNaN(quantity) || quantity < ORDER_MIN_QUANTITY) {
+        return { success: false, error: 'The minimum order is ' + this.formatBTC(ORDER_MIN_QUANTITY) };
+    }
+    if (type !== 'market' && (isNaN(price) || price <= 0)) {
+        return { success: false, error: 'Please enter a valid price' };
+    }
+
+    this.settleMarket();
+    const marketPrice = this.market.price;
+
+    // A stop on the wrong side of the market would trigger at once
+    if (type === 'stop' && side === 'sell' && price >= marketPrice) {
+        return { success: false, error: 'A stop sell must be below the market price of ' + this.formatEUR(marketPrice) };
+    }
+    if (type === 'stop' && side === 'buy' && price <= marketPrice) {
+        return { success: false, error: 'A stop buy must be above the market price of ' + this.formatEUR(marketPrice) };
+    }
+
+    const fundsAsset = side === 'sell' ? 'BTC' : ORDER_QUOTE_ASSET;
+    const needed = side === 'sell' ? quantity : quantity * (price || marketPrice);
+    if (needed > (this.getFreeAmount(fundsAsset) - this.getReservedAmount(fundsAsset)) * (1 + 1e-9)) {
+        return { success: false, error: 'Insufficient ' + fundsAsset + ' balance' };
+    }
+
+    const now = Date.now();
+    const order = {
+        id: this.createOrderId(now),
+        time: now,
+        side: side,
+        type: type,
+        quantity: quantity,
+        price: price,
+        filled: 0,
+        averagePrice: null,
+        status: 'open',
+        triggered: false,
+        reason: null,
+        updatedAt: now
+    };
+    this.portfolio.orders.unshift(order);
+
+    if (type === 'market') {
+        this.fillOrder(order, marketPrice, now);
+    }
+    this.commitOrders(now);
+
+    return { success: true, order: order };
+};
+
+AnomCAT.cancelOrder = function(id) {
+    const order = this.getOpenOrders().find(o => o.id === id);
+    if (!order) {
+        return { success: false, error: 'This order is no longer open' };
+    }
+
+    this.closeOrder(order, 'cancelled', 'user', Date.now());
+    this.commitOrders(order.updatedAt);
+    return { success: true, order: order };
+};
+
+AnomCAT.closeOrder = function(order, status, reason, time) {
+    order.status = status;
+    order.reason = reason;
+    order.updatedAt = time;
+
+    // Closed orders beyond the history limit are dropped, oldest first
+    let closed = 0;
+    this.portfolio.orders = this.portfolio.orders.filter(o => {
+        if (o.status === 'open' || o.status === 'partially_filled') return true;
+        return ++closed <= ORDER_HISTORY_LIMIT;
+    });
+};
+
+// Save and redraw after orders changed outside the update loop
+AnomCAT.commitOrders = function(time) {
+    this.markHoldings(this.portfolio, this.market.price);
+    this.portfolio.eurBalance = this.btcToEur(this.portfolio.btcBalance);
+    this.recordPortfolioPoint(time);
+    this.saveToStorage();
+    this.updateAllDisplays();
+    window.dispatchEvent(new CustomEvent('portfolioUpdated'));
+};
+
+// Bring the market up to now before an order is priced. While neither the
+// bot nor any order uses it, the market does not move; it jumps to now.
+AnomCAT.settleMarket = function() {
+    if (this.bot.active || this.hasOpenOrders()) {
+        this.updatePortfolio();
+        return;
+    }
+
+    const now = Date.now();
+    this.stepMarket(now);
+    this.markHoldings(this.portfolio, this.market.price);
+    this.bot.lastUpdate = now;
+};
+
+// ============================================
+// Matching
+// ============================================
+/**
+ * Evaluate the open orders, oldest first, at the current market price.
+ * Called on every update and on every bar replayed by catchUp().
+ * @returns {number} The number of fills
+ */
+AnomCAT.processOrders = function(time) {
+    const price = this.market.price;
+    let fills = 0;
+
+    this.getOpenOrders().reverse().forEach(order => {
+        if (order.type === 'stop' && !order.triggered) {
+            const reached = order.side === 'sell' ? price <= order.price : price >= order.price;
+            if (!reached) return;
+            // From here the order fills as a market order
+            order.triggered = true;
+        }
+        if (order.type === 'limit') {
+            const reached = order.side === 'buy' ? price <= order.price : price >= order.price;
+            if (!reached) return;
+        }
+        if (this.fillOrder(order, price, time)) {
+            fills++;
+        }
+    });
+
+    return fills;
+};
+
+/**
+ * Fill as much of an order as liquidity and the balance allow at `price`.
+ * The order can use its own reservation and any funds no other open order
+ * has reserved. The fee is taken in BTC, as for the bot's trades.
+ * @returns {Object|null} The ledger entry, or null when nothing was filled
+ */
+AnomCAT.fillOrder = function(order, price, time) {
+    const holdings = this.portfolio.holdings;
+    const remaining = order.quantity - order.filled;
+    const fundsAsset = order.side === 'sell' ? 'BTC' : ORDER_QUOTE_ASSET;
+    const available = Math.max(0, this.getFreeAmount(fundsAsset) - this.getReservedAmount(fundsAsset, order.id));
+    const affordable = order.side === 'sell' ? available : available / price;
+    const quantity = Math.min(remaining, ORDER_FILL_LIQUIDITY_BTC, affordable);
+
+    // The bot or a swap used the funds since the order was placed
+    if (quantity < SATOSHI_THRESHOLD) {
+        this.closeOrder(order, 'cancelled', 'insufficient_funds', time);
+        return null;
+    }
+
+    const fee = quantity * TRADE_FEE_RATE;
+    let amount, quoteAmount;
+    if (order.side === 'sell') {
+        amount = quantity;
+        quoteAmount = (quantity - fee) * price;
+        holdings.BTC = Math.max(0, holdings.BTC - quantity);
+        holdings[ORDER_QUOTE_ASSET] = (holdings[ORDER_QUOTE_ASSET] || 0) + quoteAmount;
+    } else {
+        amount = quantity - fee;
+        quoteAmount = quantity * price;
+        holdings[ORDER_QUOTE_ASSET] = Math.max(0, holdings[ORDER_QUOTE_ASSET] - quoteAmount);
+        holdings.BTC += amount;
+    }
+    this.markHoldings(this.portfolio, price);
+
+    order.averagePrice = ((order.averagePrice || 0) * order.filled + price * quantity) / (order.filled + quantity);
+    order.filled += quantity;
+    order.updatedAt = time;
+    if (order.quantity - order.filled < SATOSHI_THRESHOLD) {
+        this.closeOrder(order, 'filled', null, time);
+    } else {
+        order.status = 'partially_filled';
+    }
+
+    return this.addTransaction('trade', amount, {
+        time: time,
+        side: order.side,
+        asset: ORDER_QUOTE_ASSET,
+        quantity: quoteAmount,
+        price: price,
+        eurRate: price,
+        fiatAmount: quoteAmount,
+        fee: fee,
+        source: 'manual',
+        orderId: order.id,
+        orderType: order.type
+    });
+};
+
+// ============================================
+// Analytics
+// ============================================
+/**
+ * Manual and bot trading side by side. Realised gains and the win rate
+ * come from the sells' disposals in the tax report (FIFO) when
+ * assets/js/tax.js is loaded; they are null otherwise.
+ * @returns {{manual: Object, bot: Object}} Per source: trades, volume and
+ *   fees in BTC, realised in EUR, sells and winRate (0-1 or null)
+ */
+AnomCAT.getTradeSummary = function() {
+    const trades = this.portfolio.trades;
+    const summary = {};
+    ['manual', 'bot'].forEach(source => {
+        summary[source] = { trades: 0, volume: 0, fees: 0, realised: null, sells: 0, wins: 0, winRate: null };
+    });
+
+    const sourceOf = {};
+    trades.forEach(trade => {
+        if (trade.type !== 'trade') return;
+        // Trades recorded before manual orders were all the bot's
+        const source = trade.source === 'manual' ? 'manual' : 'bot';
+        const entry = summary[source];
+        entry.trades++;
+        entry.volume += trade.amount;
+        entry.fees += trade.fee || 0;
+        sourceOf[trade.id] = source;
+    });
+
+    if (!this.buildTaxReport) return summary;
+
+    // A sell can be split over several lots; it wins on its total gain
+    const gains = {};
+    this.buildTaxReport(trades).disposals.forEach(disposal => {
+        if (sourceOf[disposal.id]) {
+            gains[disposal.id] = (gains[disposal.id] || 0) + disposal.gain;
+        }
+    });
+    Object.keys(summary).forEach(source => {
+        summary[source].realised = 0;
+    });
+    Object.keys(gains).forEach(id => {
+        const entry = summary[sourceOf[id]];
+        entry.realised += gains[id];
+        entry.sells++;
+        if (gains[id] > 0) entry.wins++;
+    });
+    Object.keys(summary).forEach(source => {
+        const entry = summary[source];
+        entry.winRate = entry.sells > 0 ? entry.wins / entry.sells : null;
+    });
+
+    return summary;
+};
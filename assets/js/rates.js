@@ -0,0 +1,361 @@
+/**
+ * AnomCAT v1.01 - Exchange Rates
+ * Live market prices from pluggable rate providers
+ *
+ * A provider delivers prices keyed "<ASSET>_<currency>", like
+ * `marketPrices` in data/mock_db.json: BTC in every display currency,
+ * other assets (see ASSETS in app.js) in EUR. Polled providers implement
+ * fetchPrices(url); streaming providers implement connect(url, onPrices,
+ * onClose) and return an object with close(). Failed polls and dropped
+ * connections are retried with exponential backoff.
+ *
+ * The provider and its URL are chosen in Settings → Exchange Rates and
+ * apply to every account on this device, so a local stand-in server can
+ * be used. The latest prices are cached in localStorage: offline, the app
+ * shows fiat values at the last known rate and the header marks them as
+ * stale or offline.
+ *
+ * @module AnomCAT/rates
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const RATE_SOURCE_KEY = 'anomcat_rate_source'; // Provider and URL for this device
+const RATE_CACHE_KEY = 'anomcat_rate_cache';
+const DEFAULT_RATE_PROVIDER = 'static';
+const RATE_POLL_INTERVAL_MS = 60 * 1000;
+const RATE_RETRY_MS = 5 * 1000; // First retry after a failure, doubled each time
+const RATE_MAX_BACKOFF_MS = 15 * 60 * 1000;
+const RATE_STALE_MS = 10 * 60 * 1000; // Older prices are shown as stale
+const RATE_REQUEST_TIMEOUT_MS = 10 * 1000;
+const RATE_STATUS_INTERVAL_MS = 30 * 1000;
+
+// ============================================
+// Providers
+// ============================================
+AnomCAT.rateProviders = {};
+
+// Feed state of the running page
+AnomCAT.rateFeed = {
+    updatedAt: null, // When the current prices were received
+    failures: 0, // Failed attempts since the last success
+    error: null,
+    timer: null,
+    connection: null,
+    run: 0 // Bumped on restart so callbacks of an old run are ignored
+};
+
+/**
+ * Register an exchange-rate provider.
+ * @param {Object} provider - { id, name, description, defaultUrl,
+ *   pollInterval?, fetchPrices(url) | connect(url, onPrices, onClose) }
+ */
+AnomCAT.registerRateProvider = function(provider) {
+    this.rateProviders[provider.id] = provider;
+};
+
+/**
+ * Prices keyed "<ASSET>_<currency>" from a response body. They may be
+ * wrapped in `marketPrices`, as in mock_db.json; other keys are ignored.
+ * @throws {Error} When the body holds no price of a known asset
+ */
+AnomCAT.parseRatePrices = function(data) {
+    const source = data && data.marketPrices ? data.marketPrices : data;
+    const prices = {};
+    Object.keys(source || {}).forEach(pair => {
+        const price = parseFloat(source[pair]);
+        const match = /^([A-Z]+)_[A-Z]{3}$/.exec(pair);
+        if (match && this.assets[match[1]] && price > 0) {
+            prices[pair] = price;
+        }
+    });
+    if (Object.keys(prices).length === 0) {
+        throw new Error('No prices in the response');
+    }
+    return prices;
+};
+
+AnomCAT.fetchRatePrices = async function(url) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), RATE_REQUEST_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, { cache: 'no-store', signal: controller.signal });
+        if (!response.ok) {
+            throw new Error('HTTP ' + response.status);
+        }
+        return this.parseRatePrices(await response.json());
+    } finally {
+        clearTimeout(timeout);
+    }
+};
+
+AnomCAT.registerRateProvider({
+    id: 'static',
+    name: 'Static File',
+    description: 'Reads prices from a JSON file such as data/mock_db.json',
+    defaultUrl: APP_DATA_URL,
+    pollInterval: 5 * 60 * 1000,
+    // The first poll reads the data file the page has loaded anyway
+    fetchPrices: function(url) {
+        if (url === APP_DATA_URL && !this.polled) {
+            this.polled = true;
+            return AnomCAT.loadAppData().then(data => AnomCAT.parseRatePrices(data));
+        }
+        return AnomCAT.fetchRatePrices(url);
+    }
+});
+
+AnomCAT.registerRateProvider({
+    id: 'rest',
+    name: 'REST Ticker',
+    description: 'Polls a ticker endpoint that answers with {"BTC_EUR": 41500, …}',
+    defaultUrl: 'http://localhost:8080/ticker',
+    fetchPrices: url => AnomCAT.fetchRatePrices(url)
+});
+
+AnomCAT.registerRateProvider({
+    id: 'websocket',
+    name: 'WebSocket Ticker',
+    description: 'Streams ticker messages like {"BTC_EUR": 41500}; partial updates are merged',
+    defaultUrl: 'ws://localhost:8080/ticker',
+    connect: function(url, onPrices, onClose) {
+        const socket = new WebSocket(url);
+        socket.onmessage = event => {
+            try {
+                onPrices(AnomCAT.parseRatePrices(JSON.parse(event.data)));
+            } catch (e) {
+                console.warn('Ignoring ticker message:', e.message);
+            }
+        };
+        socket.onclose = () => onClose(new Error('Connection closed'));
+        return {
+            close: () => {
+                socket.onclose = null;
+                socket.close();
+            }
+        };
+    }
+});
+
+// ============================================
+// Rate Source
+// ============================================
+// The provider and URL used on this device
+AnomCAT.getRateSource = function() {
+    let source = null;
+    try {
+        source = JSON.parse(localStorage.getItem(RATE_SOURCE_KEY));
+    } catch (e) {
+        // Start over from a damaged entry
+    }
+    const provider = this.rateProviders[source && source.provider] || this.rateProviders[DEFAULT_RATE_PROVIDER];
+    const url = source && source.provider === provider.id && source.url ? source.url : provider.defaultUrl;
+    return { provider: provider, url: url };
+};
+
+/**
+ * Switch to another provider or URL and fetch from it straight away.
+ * An empty URL uses the provider's default.
+ * @throws {Error} For an unknown provider or an unsuitable URL
+ */
+AnomCAT.setRateSource = function(providerId, url) {
+    const provider = this.rateProviders[providerId];
+    if (!provider) {
+        throw new Error('Unknown rate provider');
+    }
+
+    const value = (url || '').trim();
+    if (value) {
+        let parsed;
+        try {
+            parsed = new URL(value, window.location.href);
+        } catch (e) {
+            throw new Error('Enter a valid URL');
+        }
+        const protocols = provider.connect ? ['ws:', 'wss:'] : ['http:', 'https:'];
+        if (!protocols.includes(parsed.protocol)) {
+            throw new Error(provider.name + ' URLs start with ' + protocols.map(p => p + '//').join(' or '));
+        }
+    }
+
+    localStorage.setItem(RATE_SOURCE_KEY, JSON.stringify({ provider: provider.id, url: value || null }));
+    this.startRateUpdates();
+};
+
+// ============================================
+// Feed
+// ============================================
+// Apply the cached prices, so fiat values are sensible before (or
+// without) the first response
+AnomCAT.loadCachedRates = function() {
+    try {
+        const cached = JSON.parse(localStorage.getItem(RATE_CACHE_KEY));
+        if (cached && this.applyMarketPrices(cached.prices)) {
+            this.rateFeed.updatedAt = cached.updatedAt;
+        }
+    } catch (e) {
+        console.warn('Ignoring cached exchange rates:', e.message);
+    }
+};
+
+/**
+ * Start (or restart) fetching from the configured provider. Runs once per
+ * page; the indicator is refreshed as prices age.
+ */
+AnomCAT.startRateUpdates = function() {
+    this.stopRateUpdates();
+    const feed = this.rateFeed;
+    const run = ++feed.run;
+    const { provider, url } = this.getRateSource();
+    feed.failures = 0;
+    feed.error = null;
+
+    if (provider.connect) {
+        this.connectRates(provider, url, run);
+    } else {
+        this.pollRates(provider, url, run);
+    }
+
+    if (!this.intervals.rateStatus) {
+        this.intervals.rateStatus = setInterval(() => this.updateRateStatus(), RATE_STATUS_INTERVAL_MS);
+        window.addEventListener('online', () => this.startRateUpdates());
+        window.addEventListener('offline', () => this.updateRateStatus());
+    }
+    this.updateRateStatus();
+};
+
+AnomCAT.stopRateUpdates = function() {
+    const feed = this.rateFeed;
+    feed.run++;
+    clearTimeout(feed.timer);
+    feed.timer = null;
+    if (feed.connection) {
+        feed.connection.close();
+        feed.connection = null;
+    }
+};
+
+AnomCAT.pollRates = async function(provider, url, run) {
+    const feed = this.rateFeed;
+    try {
+        const prices = await provider.fetchPrices(url);
+        if (run !== feed.run) return;
+        this.receiveRates(prices);
+    } catch (e) {
+        if (run !== feed.run) return;
+        this.rateFailed(e);
+    }
+
+    const delay = feed.failures > 0 ? this.getRateRetryDelay() : (provider.pollInterval || RATE_POLL_INTERVAL_MS);
+    feed.timer = setTimeout(() => this.pollRates(provider, url, run), delay);
+};
+
+AnomCAT.connectRates = function(provider, url, run) {
+    const feed = this.rateFeed;
+    const reconnect = error => {
+        if (run !== feed.run) return;
+        feed.connection = null;
+        this.rateFailed(error);
+        feed.timer = setTimeout(() => this.connectRates(provider, url, run), this.getRateRetryDelay());
+    };
+
+    try {
+        feed.connection = provider.connect(url, prices => {
+            if (run !== feed.run) return;
+            try {
+                this.receiveRates(prices);
+            } catch (e) {
+                console.warn('Ignoring ticker prices:', e.message);
+            }
+        }, reconnect);
+    } catch (e) {
+        reconnect(e);
+    }
+};
+
+// Exponential backoff after consecutive failures
+AnomCAT.getRateRetryDelay = function() {
+    const failures = Math.max(1, this.rateFeed.failures);
+    return Math.min(RATE_RETRY_MS * Math.pow(2, failures - 1), RATE_MAX_BACKOFF_MS);
+};
+
+/**
+ * Take new prices from a provider: apply and cache them, and redraw
+ * fiat values when they changed.
+ * @throws {Error} When there is still no EUR price to convert from
+ */
+AnomCAT.receiveRates = function(prices) {
+    const changed = Object.keys(prices).some(pair => this.marketPrices[pair] !== prices[pair]);
+    if (!this.applyMarketPrices(prices)) {
+        throw new Error('The provider sent no BTC_EUR price');
+    }
+
+    const feed = this.rateFeed;
+    feed.updatedAt = Date.now();
+    feed.failures = 0;
+    feed.error = null;
+    localStorage.setItem(RATE_CACHE_KEY, JSON.stringify({ prices: this.marketPrices, updatedAt: feed.updatedAt }));
+
+    if (changed) {
+        this.updateAllDisplays();
+        window.dispatchEvent(new CustomEvent('ratesChanged', { detail: { prices: this.marketPrices } }));
+    }
+    this.updateRateStatus();
+};
+
+AnomCAT.rateFailed = function(error) {
+    const feed = this.rateFeed;
+    feed.failures++;
+    feed.error = error.name === 'AbortError' ? 'Request timed out' : error.message;
+    console.warn('Exchange rate update failed:', feed.error);
+    this.updateRateStatus();
+};
+
+// ============================================
+// Status Indicator
+// ============================================
+/**
+ * 'live', 'stale' (old prices, or the last attempt failed) or 'offline'
+ * (the device has no network).
+ */
+AnomCAT.getRateStatus = function() {
+    const feed = this.rateFeed;
+    if (navigator.onLine === false) return 'offline';
+    if (!feed.updatedAt || feed.error || Date.now() - feed.updatedAt > RATE_STALE_MS) return 'stale';
+    return 'live';
+};
+
+AnomCAT.describeRateStatus = function() {
+    const feed = this.rateFeed;
+    const { provider } = this.getRateSource();
+    let text = feed.updatedAt
+        ? 'BTC/EUR ' + this.formatEUR(this.marketPrices.BTC_EUR) + ' from ' + provider.name + ', updated ' + this.formatDateTime(feed.updatedAt)
+        : 'No exchange rates received from ' + provider.name + ' yet';
+    if (feed.error) {
+        text += '. Last attempt failed: ' + feed.error;
+    }
+    return text;
+};
+
+// Header indicator: time of the current prices, marked when stale or
+// offline. Elements with data-rate-description get the full status.
+AnomCAT.updateRateStatus = function() {
+    const status = this.getRateStatus();
+    const time = this.rateFeed.updatedAt ? this.formatTime(this.rateFeed.updatedAt) : '--:--';
+    const labels = { live: '', stale: 'Stale · ', offline: 'Offline · ' };
+
+    document.querySelectorAll('[data-rate-status]').forEach(el => {
+        el.textContent = labels[status] + time;
+        el.title = this.describeRateStatus();
+        el.classList.toggle('stale', status === 'stale');
+        el.classList.toggle('offline', status === 'offline');
+    });
+    document.querySelectorAll('[data-rate-description]').forEach(el => {
+        el.textContent = this.describeRateStatus();
+    });
+};
+
+AnomCAT.loadCachedRates();
+AnomCAT.onReady(() => AnomCAT.startRateUpdates());
@@ -0,0 +1,321 @@
+/**
+ * AnomCAT v1.01 - Referral Program
+ * Referral codes, invite links and bonuses for invited accounts
+ *
+ * Every account gets a referral code; its invite link opens the register
+ * page with `?ref=<code>`, and accounts registered through it keep the
+ * code as `referredBy`. There is no server, so invited accounts report
+ * their sign-up, first deposit and trading volume to a queue on this
+ * device, which the inviter's account collects the next time it is open.
+ * Invites from other devices are remembered but earn nothing.
+ *
+ * Bonuses follow `referralProgram.bonusStructure` in data/mock_db.json: a
+ * fixed amount for each sign-up and first deposit, and a share of the BTC
+ * the invited account trades (its bot, orders and swaps). Every bonus is
+ * scaled by the multiplier of the inviter's tier, which rises with the
+ * number of active referrals (those that have deposited). Bonuses are
+ * 'referral' ledger entries ({ bonus, referral, tier, multiplier }) paid
+ * into the main wallet; they count as profit, not as deposits.
+ *
+ * @module AnomCAT/referrals
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const REFERRAL_EVENTS_KEY = 'anomcat_referral_events'; // Queue shared by the accounts on this device
+const REFERRAL_CODE_PREFIX = 'ANOM';
+const REFERRAL_CODE_LENGTH = 5; // Random characters after the prefix
+const REFERRAL_CODE_CHARS = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ'; // No 0/O or 1/I
+const REFERRAL_BONUSES = { // BTC; trading is per BTC traded
+    signup: 0.0001,
+    deposit: 0.001,
+    trading: 0.0005
+};
+const REFERRAL_BONUS_NAMES = {
+    signup: 'Sign-up bonus',
+    deposit: 'Deposit bonus',
+    trading: 'Trading bonus'
+};
+const REFERRAL_TIERS = { // By active referrals, lowest first
+    bronze: { name: 'Bronze', minActive: 0 },
+    silver: { name: 'Silver', minActive: 3 },
+    gold: { name: 'Gold', minActive: 10 },
+    platinum: { name: 'Platinum', minActive: 25 }
+};
+const REFERRAL_MULTIPLIERS = { bronze: 1, silver: 1.25, gold: 1.5, platinum: 2 };
+
+// ============================================
+// Program
+// ============================================
+AnomCAT.referralTiers = REFERRAL_TIERS;
+AnomCAT.referralBonuses = Object.assign({}, REFERRAL_BONUSES);
+AnomCAT.referralMultipliers = Object.assign({}, REFERRAL_MULTIPLIERS);
+
+// Bonuses and tier multipliers from `referralProgram.bonusStructure`
+AnomCAT.loadReferralProgram = async function() {
+    const data = await this.loadAppData();
+    const structure = (data.referralProgram && data.referralProgram.bonusStructure) || {};
+
+    const bonuses = {
+        signup: parseFloat(structure.signupBonus),
+        deposit: parseFloat(structure.depositBonus),
+        trading: parseFloat(structure.tradingBonus)
+    };
+    Object.keys(bonuses).forEach(type => {
+        if (bonuses[type] >= 0) {
+            this.referralBonuses[type] = bonuses[type];
+        }
+    });
+
+    const multipliers = structure.tierMultipliers || {};
+    Object.keys(REFERRAL_TIERS).forEach(tier => {
+        const value = parseFloat(multipliers[tier]);
+        if (value > 0) {
+            this.referralMultipliers[tier] = value;
+        }
+    });
+};
+
+// Tier for a number of active referrals
+AnomCAT.getReferralTier = function(activeCount = this.getActiveReferralCount()) {
+    return Object.keys(REFERRAL_TIERS)
+        .filter(tier => activeCount >= REFERRAL_TIERS[tier].minActive)
+        .pop();
+};
+
+// The tier after `tier`, or null at the top
+AnomCAT.getNextReferralTier = function(tier = this.portfolio.referrals.tier) {
+    const tiers = Object.keys(REFERRAL_TIERS);
+    return tiers[tiers.indexOf(tier) + 1] || null;
+};
+
+AnomCAT.getActiveReferralCount = function() {
+    return this.portfolio.referrals.list.filter(referral => referral.status === 'active').length;
+};
+
+// BTC earned from referrals so far
+AnomCAT.getReferralEarnings = function() {
+    return this.portfolio.trades
+        .filter(trade => trade.type === 'referral')
+        .reduce((sum, trade) => sum + trade.amount, 0);
+};
+
+// ============================================
+// Codes
+// ============================================
+AnomCAT.createReferralCode = function() {
+    const taken = this.getAccounts().map(account => account.referralCode);
+    let code;
+    do {
+        const random = crypto.getRandomValues(new Uint8Array(REFERRAL_CODE_LENGTH));
+        code = REFERRAL_CODE_PREFIX + Array.from(random, n => REFERRAL_CODE_CHARS[n % REFERRAL_CODE_CHARS.length]).join('');
+    } while (taken.includes(code));
+    return code;
+};
+
+// A code as typed or linked, or null when it cannot be one
+AnomCAT.normalizeReferralCode = function(code) {
+    const value = (code || '').trim().toUpperCase();
+    return /^[A-Z0-9]{4,16}$/.test(value) ? value : null;
+};
+
+// The signed-in account's code, created on first use. It is kept with the
+// account on this device, like its preferences.
+AnomCAT.getReferralCode = function() {
+    const user = this.getCurrentUser();
+    if (!user) return null;
+    if (user.referralCode) return user.referralCode;
+
+    user.referralCode = this.createReferralCode();
+    this.setCurrentUser(user);
+
+    const accounts = this.getAccounts().map(account => account.id === user.id
+        ? Object.assign(account, { referralCode: user.referralCode })
+        : account);
+    localStorage.setItem(ACCOUNTS_KEY, JSON.stringify(accounts));
+    return user.referralCode;
+};
+
+// Invite link: the register page next to the current one
+AnomCAT.getReferralLink = function(code = this.getReferralCode()) {
+    return new URL('register.html?ref=' + encodeURIComponent(code), window.location.href).href;
+};
+
+// ============================================
+// Reporting (invited accounts)
+// ============================================
+AnomCAT.getReferralEvents = function() {
+    try {
+        return JSON.parse(localStorage.getItem(REFERRAL_EVENTS_KEY)) || [];
+    } catch (e) {
+        return [];
+    }
+};
+
+AnomCAT.saveReferralEvents = function(events) {
+    if (events.length > 0) {
+        localStorage.setItem(REFERRAL_EVENTS_KEY, JSON.stringify(events));
+    } else {
+        localStorage.removeItem(REFERRAL_EVENTS_KEY);
+    }
+};
+
+/**
+ * Tell the signed-in account's inviter about a sign-up, first deposit or
+ * trade. Only inviters with an account on this device hear about it;
+ * trading volume waiting to be collected is added up in one event.
+ * @param {string} type - 'signup', 'deposit' or 'trading'
+ * @param {number} [amount] - BTC traded, for 'trading'
+ * @returns {boolean} Whether the event was queued
+ */
+AnomCAT.reportReferral = function(type, amount = 0) {
+    const user = this.getCurrentUser();
+    const code = user && user.referredBy;
+    if (!code || !REFERRAL_BONUSES.hasOwnProperty(type)) return false;
+
+    const inviter = this.getAccounts().find(account => account.referralCode === code);
+    if (!inviter || inviter.id === user.id) return false;
+
+    const events = this.getReferralEvents();
+    const waiting = type === 'trading' &&
+        events.find(event => event.type === 'trading' && event.code === code && event.accountId === user.id);
+    if (waiting) {
+        waiting.amount += amount;
+        waiting.time = Date.now();
+    } else {
+        events.push({
+            code: code,
+            accountId: user.id,
+            name: user.name,
+            type: type,
+            amount: amount,
+            time: Date.now()
+        });
+    }
+    this.saveReferralEvents(events);
+    return true;
+};
+
+// ============================================
+// Bonuses (inviters)
+// ============================================
+/**
+ * Take the signed-in account's events off the queue and pay their bonuses.
+ * @returns {number} The number of bonuses paid
+ */
+AnomCAT.collectReferralBonuses = function() {
+    if (!this.storageLoaded) return 0;
+
+    const code = this.getReferralCode();
+    const events = this.getReferralEvents();
+    const mine = events.filter(event => event.code === code);
+    if (mine.length === 0) return 0;
+    this.saveReferralEvents(events.filter(event => event.code !== code));
+
+    const list = this.portfolio.referrals.list;
+    let paid = 0;
+
+    mine.sort((a, b) => a.time - b.time).forEach(event => {
+        let referral = list.find(r => r.accountId === event.accountId);
+        if (!referral) {
+            // Sign-ups can only be paid once, whichever event comes first
+            referral = {
+                accountId: event.accountId,
+                name: event.name,
+                status: 'pending',
+                joinedAt: event.time,
+                totalTraded: 0,
+                bonusEarned: 0
+            };
+            list.push(referral);
+            paid += this.payReferralBonus(referral, 'signup', this.referralBonuses.signup);
+        }
+
+        if (event.type === 'deposit' && referral.status === 'pending') {
+            referral.status = 'active';
+            paid += this.payReferralBonus(referral, 'deposit', this.referralBonuses.deposit);
+            this.updateReferralTier();
+        } else if (event.type === 'trading' && event.amount > 0) {
+            referral.totalTraded += event.amount;
+            paid += this.payReferralBonus(referral, 'trading', event.amount * this.referralBonuses.trading);
+        }
+    });
+
+    this.portfolio.eurBalance = this.btcToEur(this.portfolio.btcBalance);
+    this.recordPortfolioPoint(Date.now());
+    this.saveToStorage();
+    this.updateAllDisplays();
+    return paid;
+};
+
+// Pay a bonus at the current tier into the main wallet. Returns 1 when
+// paid, 0 for bonuses too small to record.
+AnomCAT.payReferralBonus = function(referral, bonus, btcAmount) {
+    const tier = this.portfolio.referrals.tier;
+    const multiplier = this.referralMultipliers[tier];
+    const amount = btcAmount * multiplier;
+    if (amount < SATOSHI_THRESHOLD) return 0;
+
+    this.portfolio.holdings.BTC += amount;
+    this.markHoldings(this.portfolio, this.market.price);
+    referral.bonusEarned += amount;
+
+    this.addTransaction('referral', amount, {
+        bonus: bonus,
+        referral: referral.name,
+        tier: tier,
+        multiplier: multiplier
+    });
+    return 1;
+};
+
+// Move up a tier when enough referrals are active; tiers are never lost
+AnomCAT.updateReferralTier = function() {
+    const referrals = this.portfolio.referrals;
+    const tier = this.getReferralTier();
+    if (REFERRAL_TIERS[tier].minActive <= REFERRAL_TIERS[referrals.tier].minActive) return;
+
+    referrals.tier = tier;
+    this.notify('success', 'Referral tier: ' + REFERRAL_TIERS[tier].name,
+        'Your referral bonuses are now multiplied by ' + this.referralMultipliers[tier], { link: 'referral.html' });
+};
+
+// ============================================
+// Listeners
+// ============================================
+// Volume traded while catchUp() replays, reported together
+let referralVolumeWhileAway = 0;
+
+window.addEventListener('transactionAdded', e => {
+    const transaction = e.detail;
+    if (transaction.type === 'deposit') {
+        // Only the first deposit earns a bonus
+        if (AnomCAT.portfolio.trades.filter(trade => trade.type === 'deposit').length === 1) {
+            AnomCAT.reportReferral('deposit');
+        }
+    } else if ((transaction.type === 'trade' && transaction.side) || transaction.type === 'swap') {
+        if (AnomCAT.isCatchingUp) {
+            referralVolumeWhileAway += transaction.amount;
+        } else {
+            AnomCAT.reportReferral('trading', transaction.amount);
+        }
+    }
+});
+
+window.addEventListener('caughtUp', () => {
+    if (referralVolumeWhileAway > 0) {
+        AnomCAT.reportReferral('trading', referralVolumeWhileAway);
+        referralVolumeWhileAway = 0;
+    }
+});
+
+// Bonuses earned while this account was signed out
+AnomCAT.onReady(() => {
+    if (!AnomCAT.storageLoaded) return;
+    AnomCAT.loadReferralProgram().then(() => {
+        AnomCAT.collectReferralBonuses();
+        window.dispatchEvent(new CustomEvent('referralsUpdated'));
+    });
+});
@@ -0,0 +1,595 @@
+/**
+ * AnomCAT v1.01 - Storage
+ * Persistent state backed by IndexedDB
+ *
+ * State is stored as one record per section (portfolio, bot, market,
+ * notifications, settings) together with a schema version. Data written by
+ * an older version of the app is brought up to date by the migration steps
+ * in AnomCAT.storageMigrations, which run in order on load. When IndexedDB
+ * is unavailable (private browsing, blocked, old browsers) the same
+ * records are kept in localStorage instead.
+ *
+ * Every account has its own records: keys are scoped with the account's
+ * namespace (see AnomCAT.getAccountId). Unscoped records were written
+ * before accounts were separated and are taken over by the first account
+ * that signs in.
+ *
+ * Accounts in vault mode (see assets/js/vault.js) keep one sealed record
+ * instead of the plaintext sections: the whole state, encrypted with the
+ * cipher the vault sets while it is unlocked.
+ *
+ * @module AnomCAT/storage
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const STORAGE_DB_NAME = 'anomcat';
+const STORAGE_DB_VERSION = 1; // IndexedDB object store layout
+const STORAGE_STORE = 'state';
+const STORAGE_SECTIONS = ['portfolio', 'bot', 'market', 'notifications', 'settings'];
+
+// localStorage keys of the fallback backend and of older app versions
+const LOCAL_STORAGE_KEYS = {
+    portfolio: 'anomcat_portfolio',
+    bot: 'anomcat_bot',
+    market: 'anomcat_market',
+    notifications: 'anomcat_notifications',
+    currency: 'anomcat_currency',
+    fiatCurrency: 'anomcat_fiat_currency',
+    chartPeriod: 'anomcat_chart_period',
+    slippagePreset: 'anomcat_slippage_preset',
+    schemaVersion: 'anomcat_schema_version',
+    vault: 'anomcat_vault_data',
+    legacyBotActive: 'anomcat_bot_active',
+    legacyLastUpdate: 'anomcat_last_update'
+};
+const STORAGE_VAULT_RECORD = 'vault';
+const STORAGE_VAULT_KEY_RECORD = 'vaultKey'; // The unlocked vault's CryptoKey (see assets/js/vault.js)
+const VAULT_SETTINGS_KEY = 'anomcat_vault'; // Vault settings by account, readable while locked
+
+// ============================================
+// Migrations
+// ============================================
+// Each step upgrades a state object ({ portfolio, bot, market, notifications,
+// settings })
+// from the previous version. Steps run in order and only once; the
+// schema version is the version of the last step.
+AnomCAT.storageMigrations = [
+    {
+        version: 1,
+        description: 'Convert the root app.js format',
+        migrate: function(state) {
+            const portfolio = state.portfolio;
+            if (portfolio && 'current' in portfolio && !('btcBalance' in portfolio)) {
+                state.portfolio = {
+                    btcBalance: portfolio.current || 0,
+                    eurBalance: 0,
+                    initialBtc: portfolio.initial || 0,
+                    history: portfolio.history || [],
+                    // The root app.js appended trades; the ledger is newest first
+                    trades: (portfolio.trades || []).slice().reverse().map(trade => ({
+                        id: AnomCAT.createTransactionId(trade.time),
+                        time: trade.time,
+                        // BUY/SELL entries were simulated bot trades
+                        type: 'trade',
+                        amount: trade.amount,
+                        profit: trade.profit
+                    }))
+                };
+            }
+
+            if (state.legacy) {
+                if (!state.bot) {
+                    state.bot = {
+                        active: state.legacy.botActive === true,
+                        monthlyReturn: 0.013,
+                        lastUpdate: state.legacy.lastUpdate || Date.now()
+                    };
+                }
+                delete state.legacy;
+            }
+        }
+    },
+    {
+        version: 2,
+        description: 'Add withdrawals, bot positions and strategies',
+        migrate: function(state) {
+            if (state.portfolio) {
+                if (typeof state.portfolio.withdrawnBtc !== 'number') {
+                    state.portfolio.withdrawnBtc = 0;
+                }
+                if (state.portfolio.position === undefined) {
+                    state.portfolio.position = null;
+                }
+            }
+            if (state.bot && !state.bot.strategy) {
+                state.bot.strategy = DEFAULT_STRATEGY;
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Add risk profiles',
+        migrate: function(state) {
+            if (state.bot && !state.bot.riskProfile) {
+                state.bot.riskProfile = DEFAULT_RISK_PROFILE;
+                state.bot.customRisk = null;
+                state.bot.monthlyReturn = RISK_PROFILES[DEFAULT_RISK_PROFILE].targetReturn;
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'Split portfolio history into retention tiers',
+        migrate: function(state) {
+            if (state.portfolio && (!state.portfolio.history || Array.isArray(state.portfolio.history))) {
+                const points = state.portfolio.history || [];
+                const history = { recent: [], hourly: [], daily: [], weekly: [] };
+                points.forEach(point => AnomCAT.recordHistoryPoint(point.time, point.value, history, null));
+                state.portfolio.history = history;
+            }
+        }
+    },
+    {
+        version: 5,
+        description: 'Give every transaction a unique id',
+        migrate: function(state) {
+            if (!state.portfolio || !Array.isArray(state.portfolio.trades)) return;
+
+            // Ids used to be Date.now() and could repeat
+            const seen = new Set();
+            state.portfolio.trades.forEach(trade => {
+                const base = trade.id !== undefined && trade.id !== null ? String(trade.id) : 'tx-' + trade.time.toString(36);
+                let id = base;
+                for (let n = 1; seen.has(id); n++) {
+                    id = base + '-' + n;
+                }
+                seen.add(id);
+                trade.id = id;
+            });
+        }
+    },
+    {
+        version: 6,
+        description: 'Hold several assets',
+        migrate: function(state) {
+            const portfolio = state.portfolio;
+            if (portfolio && !portfolio.holdings) {
+                // Bot positions were EUR counted into the BTC balance
+                const position = portfolio.position;
+                portfolio.holdings = {
+                    BTC: Math.max(0, (portfolio.btcBalance || 0) - (position ? position.markBtc : 0)),
+                    ETH: 0,
+                    EURC: position ? position.eurAmount : 0
+                };
+                if (position) {
+                    portfolio.position = {
+                        asset: 'EURC',
+                        quantity: position.eurAmount,
+                        btcAmount: position.btcAmount,
+                        entryPrice: position.entryPrice,
+                        openedAt: position.openedAt
+                    };
+                }
+            }
+            if (state.bot && !state.bot.tradeAsset) {
+                state.bot.tradeAsset = DEFAULT_TRADE_ASSET;
+            }
+            if (state.market && !state.market.assets) {
+                state.market.assets = {};
+            }
+        }
+    },
+    {
+        version: 7,
+        description: 'Add manual orders',
+        migrate: function(state) {
+            if (state.portfolio && !state.portfolio.orders) {
+                state.portfolio.orders = [];
+            }
+        }
+    },
+    {
+        version: 8,
+        description: 'Add the notification inbox',
+        migrate: function(state) {
+            if (!state.notifications) {
+                state.notifications = { inbox: [], milestone: 0 };
+            }
+        }
+    },
+    {
+        version: 9,
+        description: 'Add alert rules',
+        migrate: function(state) {
+            if (state.notifications && !state.notifications.rules) {
+                state.notifications.rules = [];
+                state.notifications.rateSamples = [];
+            }
+        }
+    },
+    {
+        version: 10,
+        description: 'Split off the CAT account',
+        migrate: function(state) {
+            const portfolio = state.portfolio;
+            if (!portfolio || portfolio.cat) return;
+
+            // The bot traded the whole balance. It keeps its position and the
+            // BTC that open sell orders do not need; the rest is the main wallet.
+            const holdings = portfolio.holdings;
+            const position = portfolio.position || null;
+            const reservedBtc = (portfolio.orders || []).reduce((sum, order) => {
+                const open = order.status === 'open' || order.status === 'partially_filled';
+                return open && order.side === 'sell' ? sum + order.quantity - order.filled : sum;
+            }, 0);
+            const cat = {
+                btcBalance: 0,
+                holdings: { BTC: Math.max(0, holdings.BTC - reservedBtc), ETH: 0, EURC: 0 },
+                position: position,
+                peakBtc: portfolio.peakBtc,
+                lastTradeAt: portfolio.lastTradeAt
+            };
+            holdings.BTC -= cat.holdings.BTC;
+            if (position) {
+                cat.holdings[position.asset] = position.quantity;
+                holdings[position.asset] = Math.max(0, holdings[position.asset] - position.quantity);
+            }
+            // Marked at the next update; until then the position at its cost
+            cat.btcBalance = cat.holdings.BTC + (position ? position.btcAmount : 0);
+
+            portfolio.cat = cat;
+            delete portfolio.position;
+            delete portfolio.peakBtc;
+            delete portfolio.lastTradeAt;
+        }
+    },
+    {
+        version: 11,
+        description: 'Add the referral program',
+        migrate: function(state) {
+            if (state.portfolio && !state.portfolio.referrals) {
+                state.portfolio.referrals = { tier: 'bronze', list: [] };
+            }
+        }
+    }
+];
+
+const STORAGE_SCHEMA_VERSION = AnomCAT.storageMigrations[AnomCAT.storageMigrations.length - 1].version;
+
+// ============================================
+// Storage Backend
+// ============================================
+AnomCAT.storage = {
+    backend: null, // 'indexeddb' or 'localstorage' once opened
+    db: null,
+    opening: null,
+    namespace: null, // Account whose records are read and written
+    cipher: null, // { seal(text), open(sealed) } while the vault is unlocked
+
+    open: function() {
+        if (!this.opening) {
+            this.opening = this.openDatabase().then(db => {
+                this.db = db;
+                this.backend = 'indexeddb';
+            }).catch(e => {
+                console.warn('IndexedDB unavailable, using localStorage:', e && e.message);
+                this.backend = 'localstorage';
+            });
+        }
+        return this.opening;
+    },
+
+    openDatabase: function() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined' || !indexedDB) {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(STORAGE_DB_NAME, STORAGE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORAGE_STORE)) {
+                    db.createObjectStore(STORAGE_STORE);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let a newer version of the app upgrade the database
+                db.onversionchange = () => db.close();
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB upgrade is blocked by another tab'));
+        });
+    },
+
+    // Run `action(store)` in a transaction and resolve with the results
+    // of the request (or array of requests) it returns
+    transaction: function(mode, action) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(STORAGE_STORE, mode);
+            const requests = action(tx.objectStore(STORAGE_STORE));
+            tx.oncomplete = () => resolve(Array.isArray(requests)
+                ? requests.map(request => request.result)
+                : requests && requests.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+        });
+    },
+
+    // Key of a record in `namespace`; unscoped when namespace is null
+    scopedKey: function(key, namespace) {
+        return namespace ? key + ':' + namespace : key;
+    },
+
+    /**
+     * Load the signed-in account's state, migrated to the current schema.
+     * Resolves with null when nothing has been stored yet.
+     */
+    load: async function() {
+        await this.open();
+
+        let found = await this.read(this.namespace);
+        let source = this.namespace;
+        if (!found && this.namespace) {
+            found = await this.read(null);
+            source = null;
+        }
+        if (!found) return null;
+
+        const state = found.state;
+        const migrated = this.migrate(state);
+
+        // Move unscoped records into the account, and data from
+        // localStorage over on the first IndexedDB run
+        const moved = source !== this.namespace || (found.inLocalStorage && this.backend === 'indexeddb');
+        if (moved || migrated) {
+            await this.save(state);
+        }
+        if (moved) {
+            if (found.inLocalStorage) {
+                this.clearLocalStorage(source);
+            } else {
+                await this.deleteDatabaseRecords(source);
+            }
+        }
+        return state;
+    },
+
+    // Records of `namespace`, from IndexedDB or the localStorage fallback
+    read: async function(namespace) {
+        if (this.backend === 'indexeddb') {
+            const sealed = await this.transaction('readonly', store =>
+                store.get(this.scopedKey(STORAGE_VAULT_RECORD, namespace)));
+            if (sealed) return { state: await this.unseal(sealed), inLocalStorage: false };
+
+            const state = await this.readDatabase(namespace);
+            if (state) return { state: state, inLocalStorage: false };
+        }
+
+        const sealed = localStorage.getItem(this.scopedKey(LOCAL_STORAGE_KEYS.vault, namespace));
+        if (sealed) return { state: await this.unseal(JSON.parse(sealed)), inLocalStorage: true };
+
+        const state = this.readLocalStorage(namespace);
+        return state ? { state: state, inLocalStorage: true } : null;
+    },
+
+    unseal: async function(sealed) {
+        if (!this.cipher) {
+            throw new Error('Stored data is encrypted and the vault is locked');
+        }
+        return JSON.parse(await this.cipher.open(sealed));
+    },
+
+    readDatabase: async function(namespace) {
+        const keys = STORAGE_SECTIONS.concat('schemaVersion');
+        const values = await this.transaction('readonly', store =>
+            keys.map(key => store.get(this.scopedKey(key, namespace))));
+        if (values[keys.indexOf('portfolio')] === undefined) return null;
+
+        const state = {};
+        keys.forEach((key, i) => {
+            state[key] = values[i];
+        });
+        return state;
+    },
+
+    readLocalStorage: function(namespace) {
+        const get = key => localStorage.getItem(this.scopedKey(key, namespace));
+        const read = key => {
+            const value = get(key);
+            return value === null ? undefined : JSON.parse(value);
+        };
+
+        const portfolio = read(LOCAL_STORAGE_KEYS.portfolio);
+        if (portfolio === undefined) return null;
+
+        const state = {
+            schemaVersion: parseInt(get(LOCAL_STORAGE_KEYS.schemaVersion), 10) || 0,
+            portfolio: portfolio,
+            bot: read(LOCAL_STORAGE_KEYS.bot),
+            market: read(LOCAL_STORAGE_KEYS.market),
+            notifications: read(LOCAL_STORAGE_KEYS.notifications),
+            settings: {
+                currency: get(LOCAL_STORAGE_KEYS.currency),
+                fiatCurrency: get(LOCAL_STORAGE_KEYS.fiatCurrency),
+                chartPeriod: get(LOCAL_STORAGE_KEYS.chartPeriod),
+                slippagePreset: get(LOCAL_STORAGE_KEYS.slippagePreset)
+            }
+        };
+
+        const botActive = get(LOCAL_STORAGE_KEYS.legacyBotActive);
+        if (botActive !== null) {
+            state.legacy = {
+                botActive: JSON.parse(botActive),
+                lastUpdate: read(LOCAL_STORAGE_KEYS.legacyLastUpdate)
+            };
+        }
+        return state;
+    },
+
+    /**
+     * Apply the migration steps newer than the state's schema version.
+     * Returns true when the state was changed.
+     * @throws {Error} For data from a newer version, which this one must
+     *   not load or save over
+     */
+    migrate: function(state) {
+        const from = state.schemaVersion || 0;
+        if (from > STORAGE_SCHEMA_VERSION) {
+            throw new Error('Your data was saved by a newer version of AnomCAT (schema ' + from + '). Update the app to open it.');
+        }
+
+        AnomCAT.storageMigrations
+            .filter(step => step.version > from)
+            .forEach(step => {
+                step.migrate(state);
+                state.schemaVersion = step.version;
+            });
+        return state.schemaVersion !== from;
+    },
+
+    /**
+     * Persist a state snapshot, sealed in vault mode. Falls back to
+     * localStorage when an IndexedDB write fails for any reason other
+     * than a full quota.
+     */
+    save: async function(state) {
+        await this.open();
+
+        const snapshot = JSON.parse(JSON.stringify(state));
+        snapshot.schemaVersion = STORAGE_SCHEMA_VERSION;
+
+        let sealed = null;
+        if (this.isEncrypted()) {
+            if (!this.cipher) {
+                throw new Error('Stored data is encrypted and the vault is locked');
+            }
+            sealed = await this.cipher.seal(JSON.stringify(snapshot));
+        }
+
+        if (this.backend === 'indexeddb') {
+            try {
+                // Sealed and plaintext records never exist side by side
+                const keys = STORAGE_SECTIONS.concat('schemaVersion');
+                await this.transaction('readwrite', store => keys
+                    .map(key => sealed
+                        ? store.delete(this.scopedKey(key, this.namespace))
+                        : store.put(snapshot[key], this.scopedKey(key, this.namespace)))
+                    .concat(sealed
+                        ? store.put(sealed, this.scopedKey(STORAGE_VAULT_RECORD, this.namespace))
+                        : store.delete(this.scopedKey(STORAGE_VAULT_RECORD, this.namespace))));
+                return;
+            } catch (e) {
+                if (this.isQuotaError(e)) throw e;
+                console.warn('IndexedDB write failed, using localStorage:', e && e.message);
+                this.backend = 'localstorage';
+            }
+        }
+
+        this.writeLocalStorage(snapshot, sealed);
+    },
+
+    writeLocalStorage: function(snapshot, sealed) {
+        const set = (key, value) => localStorage.setItem(this.scopedKey(key, this.namespace), value);
+        if (sealed) {
+            this.clearLocalStorage(this.namespace);
+            set(LOCAL_STORAGE_KEYS.vault, JSON.stringify(sealed));
+            return;
+        }
+
+        localStorage.removeItem(this.scopedKey(LOCAL_STORAGE_KEYS.vault, this.namespace));
+        set(LOCAL_STORAGE_KEYS.portfolio, JSON.stringify(snapshot.portfolio));
+        set(LOCAL_STORAGE_KEYS.bot, JSON.stringify(snapshot.bot));
+        set(LOCAL_STORAGE_KEYS.market, JSON.stringify(snapshot.market));
+        set(LOCAL_STORAGE_KEYS.notifications, JSON.stringify(snapshot.notifications));
+        set(LOCAL_STORAGE_KEYS.currency, snapshot.settings.currency);
+        set(LOCAL_STORAGE_KEYS.fiatCurrency, snapshot.settings.fiatCurrency);
+        set(LOCAL_STORAGE_KEYS.chartPeriod, snapshot.settings.chartPeriod);
+        set(LOCAL_STORAGE_KEYS.slippagePreset, snapshot.settings.slippagePreset);
+        set(LOCAL_STORAGE_KEYS.schemaVersion, String(snapshot.schemaVersion));
+    },
+
+    clearLocalStorage: function(namespace) {
+        Object.values(LOCAL_STORAGE_KEYS).forEach(key => localStorage.removeItem(this.scopedKey(key, namespace)));
+    },
+
+    deleteDatabaseRecords: function(namespace) {
+        return this.transaction('readwrite', store => STORAGE_SECTIONS.concat('schemaVersion', STORAGE_VAULT_RECORD, STORAGE_VAULT_KEY_RECORD)
+            .map(key => store.delete(this.scopedKey(key, namespace))));
+    },
+
+    // The signed-in account's unlocked vault key, or null. CryptoKey
+    // objects are stored as they are, so a non-extractable key stays
+    // that way; without IndexedDB there is nowhere to keep one.
+    getVaultKey: async function() {
+        await this.open();
+        if (this.backend !== 'indexeddb') return null;
+        try {
+            return await this.transaction('readonly', store =>
+                store.get(this.scopedKey(STORAGE_VAULT_KEY_RECORD, this.namespace))) || null;
+        } catch (e) {
+            console.warn('Could not read the vault key:', e && e.message);
+            return null;
+        }
+    },
+
+    // Keep `key` for the signed-in account, or (with null) remove it
+    setVaultKey: async function(key) {
+        await this.open();
+        if (this.backend !== 'indexeddb') return;
+        const id = this.scopedKey(STORAGE_VAULT_KEY_RECORD, this.namespace);
+        try {
+            await this.transaction('readwrite', store => key ? store.put(key, id) : store.delete(id));
+        } catch (e) {
+            console.warn('Could not store the vault key:', e && e.message);
+        }
+    },
+
+    // Vault settings of an account ({ salt, iterations, check, idleMinutes }),
+    // or null when its data is stored in plaintext
+    getVaultSettings: function(namespace = this.namespace) {
+        try {
+            return (JSON.parse(localStorage.getItem(VAULT_SETTINGS_KEY)) || {})[namespace] || null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    // Store or (with null) remove the signed-in account's vault settings
+    setVaultSettings: function(settings) {
+        let all = {};
+        try {
+            all = JSON.parse(localStorage.getItem(VAULT_SETTINGS_KEY)) || {};
+        } catch (e) {
+            // Start over from damaged settings
+        }
+        if (settings) {
+            all[this.namespace] = settings;
+        } else {
+            delete all[this.namespace];
+        }
+        localStorage.setItem(VAULT_SETTINGS_KEY, JSON.stringify(all));
+    },
+
+    isEncrypted: function(namespace = this.namespace) {
+        return !!namespace && !!this.getVaultSettings(namespace);
+    },
+
+    // Remove the signed-in account's records; other accounts are kept
+    clear: async function() {
+        await this.open();
+        this.clearLocalStorage(this.namespace);
+        if (this.backend === 'indexeddb') {
+            await this.deleteDatabaseRecords(this.namespace);
+        }
+    },
+
+    isQuotaError: function(e) {
+        return !!e && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22);
+    }
+};
@@ -0,0 +1,156 @@
+/**
+ * AnomCAT v1.01 - Trading Strategies
+ * Built-in strategies for the CAT bot
+ *
+ * A strategy receives a price series (oldest first) and returns one signal
+ * per price: 'buy', 'sell' or null. Signals are from the point of view of
+ * a BTC holder: 'sell' moves part of the balance into EUR, 'buy' moves it
+ * back into BTC. Strategies are registered with AnomCAT.registerStrategy()
+ * and selected in Settings → Bot Settings.
+ *
+ * @module AnomCAT/strategies
+ * @version 1.01
+ */
+
+// ============================================
+// Indicator Helpers
+// ============================================
+// Each helper returns a series aligned with `values`, with null until
+// enough values are available.
+AnomCAT.indicators = {
+    // Simple moving average
+    sma: function(values, length) {
+        const result = new Array(values.length).fill(null);
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            if (i >= length) sum -= values[i - length];
+            if (i >= length - 1) result[i] = sum / length;
+        }
+        return result;
+    },
+
+    // Rolling (population) standard deviation
+    stdev: function(values, length) {
+        const result = new Array(values.length).fill(null);
+        let sum = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            sumSquares += values[i] * values[i];
+            if (i >= length) {
+                sum -= values[i - length];
+                sumSquares -= values[i - length] * values[i - length];
+            }
+            if (i >= length - 1) {
+                const mean = sum / length;
+                result[i] = Math.sqrt(Math.max(0, sumSquares / length - mean * mean));
+            }
+        }
+        return result;
+    }
+};
+
+// ============================================
+// Momentum
+// ============================================
+AnomCAT.registerStrategy({
+    id: 'momentum',
+    name: 'Momentum',
+    description: 'Follows trends with a fast/slow moving average crossover',
+    params: {
+        fast: 8,
+        slow: 32,
+        band: 0.002 // Ignore crossovers smaller than 0.2%
+    },
+    generateSignals: function(prices, params) {
+        const fast = AnomCAT.indicators.sma(prices, params.fast);
+        const slow = AnomCAT.indicators.sma(prices, params.slow);
+        const signals = new Array(prices.length).fill(null);
+        let previousTrend = null;
+
+        for (let i = 0; i < prices.length; i++) {
+            if (fast[i] === null || slow[i] === null) continue;
+
+            let trend = previousTrend;
+            if (fast[i] > slow[i] * (1 + params.band)) {
+                trend = 'up';
+            } else if (fast[i] < slow[i] * (1 - params.band)) {
+                trend = 'down';
+            }
+
+            if (previousTrend !== null && trend !== previousTrend) {
+                // Downtrend: step out of BTC; uptrend: back in
+                signals[i] = trend === 'down' ? 'sell' : 'buy';
+            }
+            previousTrend = trend;
+        }
+
+        return signals;
+    }
+});
+
+// ============================================
+// Mean Reversion
+// ============================================
+AnomCAT.registerStrategy({
+    id: 'mean-reversion',
+    name: 'Mean Reversion',
+    description: 'Sells spikes above the moving average and buys back at the mean',
+    params: {
+        lookback: 20,
+        entryZ: 1.5,
+        exitZ: 0,
+        minStdev: 0.0005 // Ignore flat markets (relative to price)
+    },
+    generateSignals: function(prices, params) {
+        const mean = AnomCAT.indicators.sma(prices, params.lookback);
+        const stdev = AnomCAT.indicators.stdev(prices, params.lookback);
+        const signals = new Array(prices.length).fill(null);
+
+        for (let i = 0; i < prices.length; i++) {
+            if (mean[i] === null || stdev[i] < mean[i] * params.minStdev) continue;
+
+            const z = (prices[i] - mean[i]) / stdev[i];
+            if (z >= params.entryZ) {
+                signals[i] = 'sell';
+            } else if (z <= params.exitZ) {
+                signals[i] = 'buy';
+            }
+        }
+
+        return signals;
+    }
+});
+
+// ============================================
+// Momentum + Mean Reversion
+// ============================================
+AnomCAT.registerStrategy({
+    id: 'momentum-mean-reversion',
+    name: 'Momentum + Mean Reversion',
+    description: 'Fades price spikes, but never against a rising trend',
+    params: {
+        fast: 8,
+        slow: 32,
+        lookback: 20,
+        entryZ: 1.5,
+        exitZ: 0,
+        minStdev: 0.0005
+    },
+    generateSignals: function(prices, params) {
+        const reversion = AnomCAT.strategies['mean-reversion'].generateSignals(prices, params);
+        const fast = AnomCAT.indicators.sma(prices, params.fast);
+        const slow = AnomCAT.indicators.sma(prices, params.slow);
+
+        return reversion.map((signal, i) => {
+            if (signal !== 'sell') return signal;
+
+            // Skip spikes that are part of an uptrend
+            if (fast[i] !== null && slow[i] !== null && fast[i] > slow[i] * 1.002) {
+                return null;
+            }
+            return signal;
+        });
+    }
+});
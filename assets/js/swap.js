@@ -0,0 +1,171 @@
+/**
+ * AnomCAT v1.01 - Swaps
+ * Quoted swaps between the assets of the portfolio
+ *
+ * Swaps fill on the market the bot trades on (see AnomCAT.getAssetPrice)
+ * against a simulated liquidity pool per asset pair. A quote shows the
+ * rate after the fee, the price impact of the pool and the minimum the
+ * user receives under the selected slippage tolerance. Quotes expire
+ * after SWAP_QUOTE_TTL_MS; on execution the swap is priced again and
+ * refused if the result falls below the quoted minimum.
+ *
+ * Swaps use the main wallet; the CAT account's funds are the bot's (see
+ * assets/js/transfers.js). Funds reserved by open manual orders cannot be
+ * swapped.
+ *
+ * @module AnomCAT/swap
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const SWAP_FEE_RATE = 0.003; // Taken from the amount swapped (0.3%)
+const SWAP_POOL_DEPTH_BTC = 25; // Liquidity on each side of a pool, in BTC
+const SWAP_QUOTE_TTL_MS = 20 * 1000;
+
+// ============================================
+// Slippage Tolerance
+// ============================================
+// Preset values from `slippagePresets` in the data file, and from
+// `settings.slippagePreset` the preset used until the user picks one
+AnomCAT.loadSlippagePresets = async function() {
+    const data = await this.loadAppData();
+    const presets = Object.assign({}, this.slippagePresets);
+    Object.keys(presets).forEach(id => {
+        const value = parseFloat(data.slippagePresets && data.slippagePresets[id]);
+        if (value > 0 && value < 1) {
+            presets[id] = value;
+        }
+    });
+    this.slippagePresets = presets;
+
+    const preset = data.settings && data.settings.slippagePreset;
+    if (presets[preset]) {
+        this.defaultSlippagePreset = preset;
+    }
+};
+
+AnomCAT.getSlippagePreset = function() {
+    return this.slippagePreset || this.defaultSlippagePreset;
+};
+
+// Slippage tolerance as a fraction, e.g. 0.005 for 0.5%
+AnomCAT.getSlippage = function(preset = this.getSlippagePreset()) {
+    return this.slippagePresets[preset] || this.slippagePresets[DEFAULT_SLIPPAGE_PRESET];
+};
+
+AnomCAT.setSlippagePreset = function(preset) {
+    if (!this.slippagePresets[preset]) return false;
+    this.slippagePreset = preset;
+    this.saveToStorage();
+    return true;
+};
+
+// ============================================
+// Quotes
+// ============================================
+// Quantity of an asset the user can swap: what the main wallet holds
+// minus what open orders reserve (see assets/js/orders.js)
+AnomCAT.getSwappableAmount = function(symbol) {
+    return Math.max(0, this.getFreeAmount(symbol) - this.getReservedAmount(symbol));
+};
+
+/**
+ * Quote a swap of `amount` units of `from` into `to` at the current price.
+ * @throws {Error} For unknown or equal assets, an invalid amount or an
+ *   amount above the swappable balance
+ * @returns {{from: string, to: string, amount: number, midRate: number, rate: number,
+ *   fee: number, priceImpact: number, expectedAmount: number, minimumReceived: number,
+ *   slippage: number, createdAt: number, expiresAt: number}}
+ */
+AnomCAT.createSwapQuote = function(from, to, amount) {
+    if (!this.assets[from] || !this.assets[to] || from === to) {
+        throw new Error('Choose two different assets');
+    }
+    if (isNaN(amount) || amount <= 0) {
+        throw new Error('Please enter a valid amount greater than 0');
+    }
+    if (amount > this.getSwappableAmount(from) * (1 + 1e-9)) {
+        throw new Error('Insufficient ' + from + ' balance');
+    }
+
+    const fromPrice = this.getAssetPrice(from);
+    const midRate = fromPrice / this.getAssetPrice(to);
+    const fee = amount * SWAP_FEE_RATE;
+
+    // Constant-product pool: the larger the trade, the worse the fill
+    const inputBtc = (amount - fee) * fromPrice;
+    const priceImpact = inputBtc / (inputBtc + SWAP_POOL_DEPTH_BTC);
+    const expectedAmount = (amount - fee) * midRate * (1 - priceImpact);
+    const slippage = this.getSlippage();
+    const now = Date.now();
+
+    return {
+        from: from,
+        to: to,
+        amount: amount,
+        midRate: midRate,
+        rate: expectedAmount / amount,
+        fee: fee,
+        priceImpact: priceImpact,
+        expectedAmount: expectedAmount,
+        minimumReceived: expectedAmount * (1 - slippage),
+        slippage: slippage,
+        createdAt: now,
+        expiresAt: now + SWAP_QUOTE_TTL_MS
+    };
+};
+
+// Seconds until a quote expires, 0 once it has
+AnomCAT.getQuoteSecondsLeft = function(quote) {
+    return Math.max(0, Math.ceil((quote.expiresAt - Date.now()) / 1000));
+};
+
+// ============================================
+// Execution
+// ============================================
+/**
+ * Execute a quoted swap at the current price and record it in the ledger.
+ * @throws {Error} When the quote has expired, the balance no longer
+ *   covers it or the price moved beyond the slippage tolerance
+ * @returns {Object} The ledger entry
+ */
+AnomCAT.executeSwap = function(quote) {
+    if (Date.now() > quote.expiresAt) {
+        throw new Error('The quote has expired. Get a new quote.');
+    }
+
+    const fill = this.createSwapQuote(quote.from, quote.to, quote.amount);
+    if (fill.expectedAmount < quote.minimumReceived) {
+        throw new Error('The price moved more than your slippage tolerance allows. Get a new quote.');
+    }
+
+    const holdings = this.portfolio.holdings;
+    holdings[quote.from] = Math.max(0, holdings[quote.from] - quote.amount);
+    holdings[quote.to] = (holdings[quote.to] || 0) + fill.expectedAmount;
+    this.markHoldings(this.portfolio, this.market.price);
+
+    // The BTC that left or arrived; swaps between other assets move none
+    const btcAmount = quote.from === 'BTC' ? quote.amount : quote.to === 'BTC' ? fill.expectedAmount : 0;
+    const transaction = this.addTransaction('swap', btcAmount, {
+        fromAsset: quote.from,
+        fromAmount: quote.amount,
+        toAsset: quote.to,
+        toAmount: fill.expectedAmount,
+        rate: fill.rate,
+        fee: fill.fee,
+        feeAsset: quote.from,
+        priceImpact: fill.priceImpact,
+        slippage: quote.slippage,
+        price: this.market.price,
+        fiatAmount: this.btcToEur(fill.expectedAmount * this.getAssetPrice(quote.to)) // EUR value received
+    });
+
+    this.portfolio.eurBalance = this.btcToEur(this.portfolio.btcBalance);
+    this.recordPortfolioPoint(transaction.time);
+    this.saveToStorage();
+    this.updateAllDisplays();
+
+    return transaction;
+};
@@ -0,0 +1,261 @@
+/**
+ * AnomCAT v1.01 - Tax Report
+ * Realised capital gains in EUR from the transaction ledger
+ *
+ * The same lots give the fiat profit and loss on the dashboard: realised
+ * is the gain on everything sold so far, unrealised the difference between
+ * the BTC still held at today's rate and what it cost.
+ *
+ * Deposits and buys, by the bot or manual orders, acquire BTC; sells
+ * dispose of it, and swaps do either at the EUR value received.
+ * Deposits are valued at the BTC/EUR rate of the day they were made.
+ * Referral bonuses are income, acquired at the rate of the day they were
+ * paid.
+ * Withdrawals move BTC to the user's own wallet: they reduce holdings
+ * but are not disposals. Transfers between the main wallet and the CAT
+ * account only reduce them by their fee. Every disposal is split by the
+ * acquisition lots it consumed, so each report row has one acquisition
+ * date.
+ *
+ * Cost basis methods:
+ * - FIFO: oldest lots are sold first
+ * - LIFO: newest lots are sold first
+ * - Average: every unit costs the pool average; lots are still consumed
+ *   oldest first to date the holding period
+ *
+ * @module AnomCAT/tax
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const TAX_METHODS = {
+    fifo: 'FIFO',
+    lifo: 'LIFO',
+    average: 'Average cost'
+};
+const DEFAULT_TAX_METHOD = 'fifo';
+const LONG_TERM_HOLDING_MS = 365 * 24 * 60 * 60 * 1000; // Held a year or more
+
+// ============================================
+// Report
+// ============================================
+/**
+ * Build a capital gains report over the whole ledger.
+ * @param {Array} trades - Ledger entries, as in portfolio.trades
+ * @param {string} [method='fifo'] - 'fifo', 'lifo' or 'average'
+ * @returns {{method: string, disposals: Array, years: Object, holdings: {quantity: number, costBasis: number}, warnings: Array<string>}}
+ */
+AnomCAT.buildTaxReport = function(trades, method = DEFAULT_TAX_METHOD) {
+    if (!TAX_METHODS[method]) {
+        throw new Error('Unknown cost basis method: ' + method);
+    }
+
+    const lots = [];
+    const disposals = [];
+    const warnings = [];
+    let missingRates = 0;
+    let uncovered = 0;
+
+    const rateOf = trade => {
+        if (trade.eurRate || trade.price) return trade.eurRate || trade.price;
+        missingRates++;
+        return this.btcToEurRate;
+    };
+
+    const acquire = (time, quantity, cost) => {
+        if (quantity > 0) {
+            lots.push({ time: time, quantity: quantity, cost: cost });
+        }
+    };
+
+    // Remove `quantity` from the lots; returns the portions taken
+    const consume = quantity => {
+        const portions = [];
+        const totalQuantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+        const totalCost = lots.reduce((sum, lot) => sum + lot.cost, 0);
+        const averageCost = totalQuantity > 0 ? totalCost / totalQuantity : 0;
+        let remaining = quantity;
+
+        while (remaining > SATOSHI_THRESHOLD / 2 && lots.length > 0) {
+            const index = method === 'lifo' ? lots.length - 1 : 0;
+            const lot = lots[index];
+            const taken = Math.min(remaining, lot.quantity);
+            const lotCost = lot.cost * taken / lot.quantity;
+
+            portions.push({
+                acquiredAt: lot.time,
+                quantity: taken,
+                costBasis: method === 'average' ? averageCost * taken : lotCost
+            });
+
+            lot.quantity -= taken;
+            lot.cost -= lotCost;
+            remaining -= taken;
+            if (lot.quantity <= SATOSHI_THRESHOLD / 2) {
+                lots.splice(index, 1);
+            }
+        }
+
+        // More BTC left than the ledger shows coming in
+        if (remaining > SATOSHI_THRESHOLD / 2) {
+            uncovered += remaining;
+            portions.push({ acquiredAt: null, quantity: remaining, costBasis: 0 });
+        }
+
+        // The pool average does not change when units leave it
+        if (method === 'average') {
+            lots.forEach(lot => {
+                lot.cost = lot.quantity * averageCost;
+            });
+        }
+
+        return portions;
+    };
+
+    // Dispose of `quantity` BTC for `proceeds` EUR
+    const dispose = (trade, quantity, proceeds) => {
+        consume(quantity).forEach(portion => {
+            const portionProceeds = proceeds * portion.quantity / quantity;
+            const held = portion.acquiredAt === null ? 0 : trade.time - portion.acquiredAt;
+            disposals.push({
+                id: trade.id,
+                time: trade.time,
+                year: new Date(trade.time).getFullYear(),
+                acquiredAt: portion.acquiredAt,
+                quantity: portion.quantity,
+                proceeds: portionProceeds,
+                costBasis: portion.costBasis,
+                gain: portionProceeds - portion.costBasis,
+                term: held >= LONG_TERM_HOLDING_MS ? 'long' : 'short'
+            });
+        });
+    };
+
+    // Oldest first; entries are stored newest first
+    const ledger = trades.slice().reverse().sort((a, b) => a.time - b.time);
+
+    ledger.forEach(trade => {
+        if (trade.type === 'deposit' || trade.type === 'referral') {
+            acquire(trade.time, trade.amount, trade.amount * rateOf(trade));
+        } else if (trade.type === 'withdrawal') {
+            consume(trade.amount + (trade.fee || 0));
+        } else if (trade.type === 'transfer') {
+            consume(trade.fee || 0);
+        } else if (trade.type === 'trade' && trade.side === 'buy') {
+            acquire(trade.time, trade.amount, trade.fiatAmount);
+        } else if (trade.type === 'trade' && trade.side === 'sell') {
+            // The amount includes the BTC fee; the fee lowers the proceeds
+            dispose(trade, trade.amount, trade.fiatAmount);
+        } else if (trade.type === 'swap' && trade.fromAsset === 'BTC') {
+            dispose(trade, trade.fromAmount, trade.fiatAmount);
+        } else if (trade.type === 'swap' && trade.toAsset === 'BTC') {
+            acquire(trade.time, trade.toAmount, trade.fiatAmount);
+        }
+    });
+
+    const years = {};
+    disposals.forEach(disposal => {
+        const year = years[disposal.year] || (years[disposal.year] = {
+            disposals: 0, quantity: 0, proceeds: 0, costBasis: 0, gain: 0, shortTermGain: 0, longTermGain: 0
+        });
+        year.disposals++;
+        year.quantity += disposal.quantity;
+        year.proceeds += disposal.proceeds;
+        year.costBasis += disposal.costBasis;
+        year.gain += disposal.gain;
+        year[disposal.term === 'long' ? 'longTermGain' : 'shortTermGain'] += disposal.gain;
+    });
+
+    if (missingRates > 0) {
+        warnings.push(missingRates + ' deposit(s) had no recorded BTC/EUR rate; the current rate was used as their cost.');
+    }
+    if (uncovered > 0) {
+        warnings.push(this.formatBTC(uncovered) + ' left the account without a recorded acquisition and was given a cost of €0. ' +
+            'Older versions of the app only kept the last 100 transactions.');
+    }
+
+    return {
+        method: method,
+        disposals: disposals,
+        years: years,
+        holdings: {
+            quantity: lots.reduce((sum, lot) => sum + lot.quantity, 0),
+            costBasis: lots.reduce((sum, lot) => sum + lot.cost, 0)
+        },
+        warnings: warnings
+    };
+};
+
+// ============================================
+// Profit and Loss
+// ============================================
+/**
+ * Realised and unrealised profit in EUR over the whole ledger. The report
+ * is rebuilt only when the ledger changes; a new rate just revalues the
+ * holdings. They are valued at btcToEurRate, the market price that fills,
+ * swaps and deposits record their EUR amounts at (see
+ * AnomCAT.anchorMarket), so both figures use one price.
+ * @param {string} [method='fifo'] - 'fifo', 'lifo' or 'average'
+ * @returns {{realised: number, unrealised: number, costBasis: number}}
+ */
+AnomCAT.getFiatPnl = function(method = DEFAULT_TAX_METHOD) {
+    const trades = this.portfolio.trades;
+    const key = method + ':' + trades.length + ':' + (trades[0] ? trades[0].id : '');
+    if (!this.pnlCache || this.pnlCache.key !== key) {
+        const report = this.buildTaxReport(trades, method);
+        this.pnlCache = {
+            key: key,
+            realised: report.disposals.reduce((sum, disposal) => sum + disposal.gain, 0),
+            holdings: report.holdings
+        };
+    }
+
+    const holdings = this.pnlCache.holdings;
+    return {
+        realised: this.pnlCache.realised,
+        unrealised: holdings.quantity * this.btcToEurRate - holdings.costBasis,
+        costBasis: holdings.costBasis
+    };
+};
+
+// ============================================
+// Export
+// ============================================
+// CSV of one year's disposals with a totals row
+AnomCAT.exportTaxReport = function(report, year) {
+    const disposals = report.disposals.filter(disposal => disposal.year === year);
+    const totals = report.years[year];
+    const date = time => time === null ? 'unknown' : new Date(time).toISOString().slice(0, 10);
+
+    const rows = [['Date Sold', 'Date Acquired', 'Quantity (BTC)', 'Proceeds (EUR)', 'Cost Basis (EUR)',
+        'Gain (EUR)', 'Term', 'Transaction ID']];
+    disposals.forEach(disposal => {
+        rows.push([
+            date(disposal.time),
+            date(disposal.acquiredAt),
+            disposal.quantity.toFixed(8),
+            disposal.proceeds.toFixed(2),
+            disposal.costBasis.toFixed(2),
+            disposal.gain.toFixed(2),
+            disposal.term === 'long' ? 'Long-term' : 'Short-term',
+            disposal.id
+        ]);
+    });
+
+    if (totals) {
+        rows.push([
+            'Total ' + year + ' (' + TAX_METHODS[report.method] + ')',
+            '',
+            totals.quantity.toFixed(8),
+            totals.proceeds.toFixed(2),
+            totals.costBasis.toFixed(2),
+            totals.gain.toFixed(2),
+            'Short-term ' + totals.shortTermGain.toFixed(2) + ' / Long-term ' + totals.longTermGain.toFixed(2),
+            ''
+        ]);
+    }
+
+    this.downloadFile(this.toCsv(rows), `anomcat-tax-${year}-${report.method}.csv`, 'text/csv');
+};
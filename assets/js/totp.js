@@ -0,0 +1,281 @@
+/**
+ * AnomCAT v1.01 - Two-Factor Authentication
+ * Time-based one-time passwords (RFC 6238) and recovery codes
+ *
+ * Enrolment creates a random secret, shown to the user as an otpauth://
+ * URI (QR code) for their authenticator app. 2FA is only switched on once
+ * a first code has been confirmed; the user then gets one-time recovery
+ * codes, which are stored as SHA-256 hashes. Settings live per account
+ * on this device. Once enabled, a code is needed to sign in and before
+ * withdrawals, backup exports and data resets.
+ *
+ * @module AnomCAT/totp
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const TOTP_PERIOD = 30; // Seconds per code
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Steps of clock drift accepted either way
+const TOTP_SECRET_BYTES = 20; // 160 bits, as RFC 4226 recommends
+const TOTP_ISSUER = 'AnomCAT';
+const RECOVERY_CODE_COUNT = 10;
+const TWO_FACTOR_KEY = 'anomcat_two_factor';
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// ============================================
+// TOTP
+// ============================================
+AnomCAT.totp = {
+    // RFC 4648 base32, without padding
+    base32Encode: function(bytes) {
+        let bits = 0;
+        let value = 0;
+        let output = '';
+        new Uint8Array(bytes).forEach(byte => {
+            value = (value << 8) | byte;
+            bits += 8;
+            while (bits >= 5) {
+                output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+                bits -= 5;
+            }
+        });
+        if (bits > 0) {
+            output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+        }
+        return output;
+    },
+
+    // Accepts lower case, spaces and padding, as typed by users
+    base32Decode: function(text) {
+        const clean = text.toUpperCase().replace(/[\s=]/g, '');
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+        for (const char of clean) {
+            const index = BASE32_ALPHABET.indexOf(char);
+            if (index === -1) {
+                throw new Error('Invalid base32 secret');
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 255);
+                bits -= 8;
+            }
+        }
+        return new Uint8Array(bytes);
+    },
+
+    /**
+     * HOTP value (RFC 4226) for a counter.
+     * @param {Uint8Array} key - Secret bytes
+     * @param {number} counter
+     * @param {number} [digits=TOTP_DIGITS]
+     * @param {string} [hash='SHA-1'] - 'SHA-1', 'SHA-256' or 'SHA-512'
+     * @returns {Promise<string>} Zero-padded code
+     */
+    hotp: async function(key, counter, digits = TOTP_DIGITS, hash = 'SHA-1') {
+        AnomCAT.crypto.requireSupport();
+        const message = new DataView(new ArrayBuffer(8));
+        message.setUint32(0, Math.floor(counter / 0x100000000));
+        message.setUint32(4, counter >>> 0);
+
+        const hmacKey = await crypto.subtle.importKey('raw', key, { name: 'HMAC', hash: hash }, false, ['sign']);
+        const mac = new Uint8Array(await crypto.subtle.sign('HMAC', hmacKey, message.buffer));
+
+        // Dynamic truncation
+        const offset = mac[mac.length - 1] & 15;
+        const binary = ((mac[offset] & 127) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+        return String(binary % Math.pow(10, digits)).padStart(digits, '0');
+    },
+
+    // Time step (RFC 6238 "T") of a timestamp in milliseconds
+    getStep: function(time = Date.now()) {
+        return Math.floor(time / 1000 / TOTP_PERIOD);
+    },
+
+    /**
+     * TOTP code for a base32 secret at `time`.
+     * @returns {Promise<string>}
+     */
+    generate: function(secret, time = Date.now(), options = {}) {
+        return this.hotp(this.base32Decode(secret), this.getStep(time), options.digits, options.hash);
+    },
+
+    /**
+     * Check a code, allowing TOTP_WINDOW steps of drift.
+     * @returns {Promise<?number>} The matching time step, or null
+     */
+    verify: async function(secret, code, time = Date.now()) {
+        const clean = String(code || '').replace(/\s/g, '');
+        if (!/^\d+$/.test(clean) || clean.length !== TOTP_DIGITS) return null;
+
+        const key = this.base32Decode(secret);
+        const step = this.getStep(time);
+        for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+            if (AnomCAT.crypto.timingSafeEqual(await this.hotp(key, step + drift), clean)) {
+                return step + drift;
+            }
+        }
+        return null;
+    },
+
+    createSecret: function() {
+        return this.base32Encode(AnomCAT.crypto.randomBytes(TOTP_SECRET_BYTES));
+    },
+
+    // Key URI for authenticator apps
+    buildUri: function(secret, accountName) {
+        const label = encodeURIComponent(TOTP_ISSUER + ':' + accountName);
+        const params = new URLSearchParams({
+            secret: secret,
+            issuer: TOTP_ISSUER,
+            algorithm: 'SHA1',
+            digits: String(TOTP_DIGITS),
+            period: String(TOTP_PERIOD)
+        });
+        return 'otpauth://totp/' + label + '?' + params.toString();
+    }
+};
+
+// ============================================
+// Account 2FA Settings
+// ============================================
+// 2FA settings by account id
+AnomCAT.getTwoFactorSettings = function() {
+    try {
+        return JSON.parse(localStorage.getItem(TWO_FACTOR_KEY)) || {};
+    } catch (e) {
+        return {};
+    }
+};
+
+AnomCAT.saveTwoFactor = function(accountId, settings) {
+    const all = this.getTwoFactorSettings();
+    if (settings) {
+        all[accountId] = settings;
+    } else {
+        delete all[accountId];
+    }
+    localStorage.setItem(TWO_FACTOR_KEY, JSON.stringify(all));
+};
+
+// Whether an account (default: the signed-in one) has 2FA switched on
+AnomCAT.isTwoFactorEnabled = function(accountId) {
+    const id = accountId || this.getAccountId(this.getCurrentUser());
+    return !!this.getTwoFactorSettings()[id];
+};
+
+/**
+ * Start enrolment for the signed-in account. Nothing is stored until
+ * confirmTwoFactor() succeeds.
+ * @returns {{secret: string, uri: string}}
+ */
+AnomCAT.beginTwoFactorEnrolment = function() {
+    const secret = this.totp.createSecret();
+    return { secret: secret, uri: this.totp.buildUri(secret, this.getCurrentUser().email) };
+};
+
+/**
+ * Finish enrolment with a first code from the authenticator app.
+ * @returns {Promise<string[]>} Recovery codes, shown to the user once
+ * @throws {Error} When the code does not match
+ */
+AnomCAT.confirmTwoFactorEnrolment = async function(secret, code) {
+    const step = await this.totp.verify(secret, code);
+    if (step === null) {
+        throw new Error('That code did not match. Check the time on your device and try again.');
+    }
+
+    const codes = this.createRecoveryCodes();
+    this.saveTwoFactor(this.getAccountId(this.getCurrentUser()), {
+        secret: secret,
+        enabledAt: Date.now(),
+        lastStep: step,
+        recoveryCodes: await Promise.all(codes.map(c => this.crypto.sha256(c)))
+    });
+    return codes;
+};
+
+// Codes like "k3m9-x2qp"
+AnomCAT.createRecoveryCodes = function() {
+    const alphabet = BASE32_ALPHABET.toLowerCase();
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const chars = Array.from(this.crypto.randomBytes(8), byte => alphabet[byte & 31]).join('');
+        return chars.slice(0, 4) + '-' + chars.slice(4);
+    });
+};
+
+/**
+ * Check a TOTP or recovery code for an account. Each TOTP time step and
+ * each recovery code can only be used once.
+ * @returns {Promise<boolean>}
+ */
+AnomCAT.verifyTwoFactor = async function(accountId, code) {
+    const settings = this.getTwoFactorSettings()[accountId];
+    if (!settings) return false;
+
+    const input = String(code || '').trim().toLowerCase();
+    if (/^[a-z2-7]{4}-?[a-z2-7]{4}$/.test(input)) {
+        const hash = await this.crypto.sha256(input.replace('-', '').replace(/^(.{4})/, '$1-'));
+        const index = settings.recoveryCodes.indexOf(hash);
+        if (index === -1) return false;
+        settings.recoveryCodes.splice(index, 1);
+        this.saveTwoFactor(accountId, settings);
+        return true;
+    }
+
+    const step = await this.totp.verify(settings.secret, input);
+    if (step === null || step <= settings.lastStep) return false;
+    settings.lastStep = step;
+    this.saveTwoFactor(accountId, settings);
+    return true;
+};
+
+// Recovery codes left for the signed-in account
+AnomCAT.getRecoveryCodesLeft = function() {
+    const settings = this.getTwoFactorSettings()[this.getAccountId(this.getCurrentUser())];
+    return settings ? settings.recoveryCodes.length : 0;
+};
+
+// New recovery codes for the signed-in account; old ones stop working
+AnomCAT.regenerateRecoveryCodes = async function(code) {
+    const accountId = this.getAccountId(this.getCurrentUser());
+    if (!await this.verifyTwoFactor(accountId, code)) {
+        throw new Error('Invalid code');
+    }
+    const codes = this.createRecoveryCodes();
+    const settings = this.getTwoFactorSettings()[accountId];
+    settings.recoveryCodes = await Promise.all(codes.map(c => this.crypto.sha256(c)));
+    this.saveTwoFactor(accountId, settings);
+    return codes;
+};
+
+AnomCAT.disableTwoFactor = async function(code) {
+    const accountId = this.getAccountId(this.getCurrentUser());
+    if (!await this.verifyTwoFactor(accountId, code)) {
+        throw new Error('Invalid code');
+    }
+    this.saveTwoFactor(accountId, null);
+};
+
+/**
+ * Ask for a code before a sensitive action. Resolves true when 2FA is
+ * off or the code is valid.
+ * @param {string} action - Completes "Enter your code to …"
+ */
+AnomCAT.requireTwoFactor = async function(action) {
+    if (!this.isTwoFactorEnabled()) return true;
+
+    const code = prompt('Enter the code from your authenticator app (or a recovery code) to ' + action + '.');
+    if (code === null) return false;
+
+    if (!await this.verifyTwoFactor(this.getAccountId(this.getCurrentUser()), code)) {
+        alert('Invalid code. Nothing was changed.');
+        return false;
+    }
+    return true;
+};
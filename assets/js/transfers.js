@@ -0,0 +1,127 @@
+/**
+ * AnomCAT v1.01 - Transfers
+ * Internal transfers between the main wallet and the CAT account
+ *
+ * The CAT account holds what the bot trades and earns (see
+ * AnomCAT.runStrategy); manual orders, swaps and withdrawals use the main
+ * wallet. Transfers move BTC between the two for the fee set as
+ * `catAccount.feePercentage` in data/mock_db.json, taken from the amount
+ * sent. A transfer out of the CAT account that needs the BTC the bot has
+ * moved into another asset closes the bot's position first; emptying the
+ * CAT account pauses the bot.
+ *
+ * Transfers are 'transfer' ledger entries ({ from, to, amount, fee,
+ * received }); `amount` is the BTC sent, before the fee.
+ *
+ * @module AnomCAT/transfers
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const TRANSFER_MIN_AMOUNT = 0.00001; // BTC
+
+// ============================================
+// Fee
+// ============================================
+AnomCAT.loadTransferFee = async function() {
+    const data = await this.loadAppData();
+    const value = parseFloat(data.catAccount && data.catAccount.feePercentage);
+    if (value >= 0 && value < 1) {
+        this.transferFeeRate = value;
+    }
+};
+
+AnomCAT.getTransferFee = function(btcAmount) {
+    return btcAmount * this.transferFeeRate;
+};
+
+// ============================================
+// Transfers
+// ============================================
+/**
+ * BTC that can be sent out of a wallet. The main wallet keeps what open
+ * sell orders reserve; the CAT account can send its position too, less
+ * the trading fee of closing it.
+ */
+AnomCAT.getTransferableAmount = function(from) {
+    if (from === 'main') {
+        return this.getAvailableBtc();
+    }
+
+    const cat = this.portfolio.cat;
+    const position = cat.position;
+    const positionBtc = position ? position.quantity * this.getAssetPrice(position.asset) : 0;
+    return cat.holdings.BTC + positionBtc * (1 - TRADE_FEE_RATE);
+};
+
+/**
+ * Move BTC from one wallet to the other.
+ * @param {string} from - 'main' or 'cat' (see WALLETS)
+ * @param {number} btcAmount - Amount sent; the other wallet receives it
+ *   less the transfer fee
+ * @returns {{success: boolean, error: (string|undefined), transaction: (Object|undefined)}}
+ */
+AnomCAT.transfer = function(from, btcAmount) {
+    if (!WALLETS[from]) {
+        return { success: false, error: 'Choose a wallet to transfer from' };
+    }
+    if (isNaN(btcAmount) || btcAmount < TRANSFER_MIN_AMOUNT) {
+        return { success: false, error: 'The minimum transfer is ' + this.formatBTC(TRANSFER_MIN_AMOUNT) };
+    }
+
+    // Settle the bot's trades so the balance check uses the current value
+    this.updatePortfolio();
+
+    const available = this.getTransferableAmount(from);
+    if (btcAmount > available + SATOSHI_THRESHOLD) {
+        return { success: false, error: 'Insufficient BTC in the ' + WALLETS[from].name };
+    }
+
+    const to = from === 'main' ? 'cat' : 'main';
+    const cat = this.portfolio.cat;
+    const source = from === 'main' ? this.portfolio : cat;
+    const target = from === 'main' ? cat : this.portfolio;
+
+    // BTC the bot moved into another asset has to come back first
+    if (from === 'cat' && btcAmount > cat.holdings.BTC + SATOSHI_THRESHOLD) {
+        this.closePosition();
+    }
+
+    // Dust below the minimum transfer goes along, e.g. after the market
+    // moved while the bot's position was closed; BTC reserved by open sell
+    // orders stays in the main wallet
+    const sendable = from === 'main' ? this.getTransferableAmount('main') : cat.holdings.BTC;
+    const amount = sendable - btcAmount < TRANSFER_MIN_AMOUNT ? sendable : btcAmount;
+    const fee = this.getTransferFee(amount);
+    source.holdings.BTC = Math.max(0, source.holdings.BTC - amount);
+    target.holdings.BTC += amount - fee;
+    this.markHoldings(this.portfolio, this.market.price);
+
+    // The bot's drawdown is measured from the new balance
+    if (to === 'cat' && cat.peakBtc) {
+        cat.peakBtc += amount - fee;
+    } else if (from === 'cat') {
+        cat.peakBtc = cat.btcBalance;
+    }
+
+    const transaction = this.addTransaction('transfer', amount, {
+        from: from,
+        to: to,
+        fee: fee,
+        received: amount - fee
+    });
+
+    // Nothing left for the bot to trade with
+    if (from === 'cat' && cat.btcBalance < SATOSHI_THRESHOLD) {
+        this.setBotActive(false, 'transfer');
+    }
+
+    this.portfolio.eurBalance = this.btcToEur(this.portfolio.btcBalance);
+    this.recordPortfolioPoint(transaction.time);
+    this.saveToStorage();
+    this.updateAllDisplays();
+
+    return { success: true, transaction: transaction };
+};
@@ -0,0 +1,252 @@
+/**
+ * AnomCAT v1.01 - Vault Mode
+ * Passphrase-encrypted local data with an auto-lock screen
+ *
+ * In vault mode the stored state is sealed with AES-GCM under a key
+ * derived from the user's passphrase or PIN (PBKDF2, see crypto.js). The
+ * passphrase itself is never stored: a short encrypted check value tells
+ * a right passphrase from a wrong one. The key cannot be exported. While
+ * unlocked, the CryptoKey itself is kept in IndexedDB (see
+ * AnomCAT.storage.getVaultKey) so the other pages of the app open without
+ * asking again; a new tab or browser session asks first.
+ *
+ * The app locks after an idle period and when it has been in the
+ * background. Locking removes the stored key and covers the page with the
+ * lock screen, but the running page keeps its key in memory: the
+ * portfolio loop goes on accruing and saving behind the lock screen.
+ * Sign-in details (email and name) stay readable so the lock screen can
+ * show whose data it is.
+ *
+ * @module AnomCAT/vault
+ * @version 1.01
+ */
+
+// ============================================
+// Constants
+// ============================================
+const VAULT_ACTIVITY_KEY = 'anomcat_vault_activity';
+const VAULT_HIDDEN_KEY = 'anomcat_vault_hidden';
+const VAULT_CHECK_TEXT = 'anomcat-vault';
+const VAULT_MIN_SECRET_LENGTH = 4; // A 4-digit PIN is the shortest accepted
+const VAULT_IDLE_OPTIONS = [1, 5, 15, 60]; // Minutes
+const DEFAULT_VAULT_IDLE_MINUTES = 5;
+const VAULT_BACKGROUND_GRACE_MS = 5000; // Covers moving between pages
+const VAULT_CHECK_INTERVAL_MS = 5000;
+
+// ============================================
+// Keys
+// ============================================
+AnomCAT.isVaultEnabled = function() {
+    return this.storage.isEncrypted();
+};
+
+AnomCAT.createVaultCipher = function(key) {
+    return {
+        seal: text => this.crypto.encrypt(key, text),
+        open: sealed => this.crypto.decrypt(key, sealed.iv, sealed.ciphertext)
+    };
+};
+
+// Remove the signed-in account's stored key; pages opened later ask again
+AnomCAT.forgetVaultKey = function() {
+    return this.storage.namespace ? this.storage.setVaultKey(null) : Promise.resolve();
+};
+
+/**
+ * Derive the vault key from a passphrase and check it against the
+ * stored check value.
+ * @returns {Promise<CryptoKey>}
+ * @throws {Error} For a wrong passphrase
+ */
+AnomCAT.deriveVaultKey = async function(passphrase, settings = this.storage.getVaultSettings()) {
+    const key = await this.crypto.deriveKey(passphrase, settings.salt, settings.iterations);
+    const check = await this.crypto.decrypt(key, settings.check.iv, settings.check.ciphertext).catch(() => null);
+    if (check !== VAULT_CHECK_TEXT) {
+        throw new Error('Wrong passphrase');
+    }
+    return key;
+};
+
+// Use `key` for storage and keep it for the other pages of the app
+AnomCAT.useVaultKey = async function(key) {
+    this.storage.cipher = this.createVaultCipher(key);
+    sessionStorage.setItem(VAULT_ACTIVITY_KEY, String(Date.now()));
+    sessionStorage.removeItem(VAULT_HIDDEN_KEY);
+    await this.storage.setVaultKey(key);
+};
+
+// ============================================
+// Setup
+// ============================================
+/**
+ * Turn on vault mode for the signed-in account and re-save its data
+ * encrypted.
+ * @param {string} passphrase - Passphrase or PIN
+ * @param {number} [idleMinutes=DEFAULT_VAULT_IDLE_MINUTES]
+ */
+AnomCAT.enableVault = async function(passphrase, idleMinutes = DEFAULT_VAULT_IDLE_MINUTES) {
+    if ((passphrase || '').length < VAULT_MIN_SECRET_LENGTH) {
+        throw new Error('Use at least ' + VAULT_MIN_SECRET_LENGTH + ' characters');
+    }
+
+    const salt = this.crypto.createSalt();
+    const key = await this.crypto.deriveKey(passphrase, salt);
+    this.storage.setVaultSettings({
+        salt: salt,
+        iterations: PBKDF2_ITERATIONS,
+        check: await this.crypto.encrypt(key, VAULT_CHECK_TEXT),
+        idleMinutes: idleMinutes
+    });
+    await this.useVaultKey(key);
+    await this.storage.save(this.getState());
+    this.startAutoLock();
+};
+
+// Turn vault mode off; data is saved in plaintext again
+AnomCAT.disableVault = async function(passphrase) {
+    await this.deriveVaultKey(passphrase);
+    await this.forgetVaultKey();
+    this.storage.setVaultSettings(null);
+    this.storage.cipher = null;
+    await this.storage.save(this.getState());
+};
+
+AnomCAT.setVaultIdleMinutes = function(minutes) {
+    const settings = this.storage.getVaultSettings();
+    if (settings && VAULT_IDLE_OPTIONS.includes(minutes)) {
+        settings.idleMinutes = minutes;
+        this.storage.setVaultSettings(settings);
+    }
+};
+
+// ============================================
+// Lock & Unlock
+// ============================================
+/**
+ * Make the vault key available before stored data is loaded: the stored
+ * key while the vault is not due to lock, or from the lock screen.
+ */
+AnomCAT.openVault = async function() {
+    const key = this.isVaultDue() ? null : await this.storage.getVaultKey();
+    if (key) {
+        this.storage.cipher = this.createVaultCipher(key);
+        sessionStorage.removeItem(VAULT_HIDDEN_KEY);
+    } else {
+        await this.forgetVaultKey();
+        await this.showLockScreen();
+    }
+    this.startAutoLock();
+};
+
+// Whether the idle period or the background grace has run out
+AnomCAT.isVaultDue = function() {
+    const settings = this.storage.getVaultSettings();
+    if (!settings) return false;
+
+    const now = Date.now();
+    const lastActivity = parseInt(sessionStorage.getItem(VAULT_ACTIVITY_KEY), 10);
+    const hiddenAt = parseInt(sessionStorage.getItem(VAULT_HIDDEN_KEY), 10);
+    // A new tab or browser session has no activity yet
+    return !(lastActivity > 0) ||
+        now - lastActivity > settings.idleMinutes * 60 * 1000 ||
+        (hiddenAt > 0 && now - hiddenAt > VAULT_BACKGROUND_GRACE_MS);
+};
+
+// Lock the running page. The loop keeps accruing behind the lock screen.
+AnomCAT.lockVault = function() {
+    if (this.vaultLocked || !this.isVaultEnabled()) return;
+    this.forgetVaultKey();
+    this.showLockScreen();
+};
+
+// Watch for idle time and backgrounding; once per page
+AnomCAT.startAutoLock = function() {
+    if (this.autoLockStarted) return;
+    this.autoLockStarted = true;
+
+    let lastWrite = 0;
+    const onActivity = () => {
+        // Keep sessionStorage writes down while the user is busy
+        if (!this.vaultLocked && Date.now() - lastWrite > 1000) {
+            lastWrite = Date.now();
+            sessionStorage.setItem(VAULT_ACTIVITY_KEY, String(lastWrite));
+        }
+    };
+    ['pointerdown', 'keydown', 'touchstart', 'wheel'].forEach(type => {
+        document.addEventListener(type, onActivity, { passive: true });
+    });
+
+    document.addEventListener('visibilitychange', () => {
+        if (this.vaultLocked || !this.isVaultEnabled()) return;
+        if (document.visibilityState === 'hidden') {
+            sessionStorage.setItem(VAULT_HIDDEN_KEY, String(Date.now()));
+        } else if (this.isVaultDue()) {
+            this.lockVault();
+        } else {
+            sessionStorage.removeItem(VAULT_HIDDEN_KEY);
+        }
+    });
+
+    setInterval(() => {
+        if (!this.vaultLocked && document.visibilityState === 'visible' && this.isVaultDue()) {
+            this.lockVault();
+        }
+    }, VAULT_CHECK_INTERVAL_MS);
+};
+
+/**
+ * Cover the page with the lock screen until the passphrase is entered.
+ * @returns {Promise<void>} Resolves once unlocked
+ */
+AnomCAT.showLockScreen = function() {
+    this.vaultLocked = true;
+    const user = this.getCurrentUser();
+
+    const screen = document.createElement('div');
+    screen.className = 'auth-container lock-screen';
+    screen.innerHTML = `
+        <form class="auth-card" novalidate>
+            <div class="auth-logo">
+                <div class="auth-logo-icon">A</div>
+                <span class="auth-logo-text">AnomCAT</span>
+            </div>
+            <h1 class="auth-title">Locked</h1>
+            <p class="auth-subtitle"></p>
+            <div class="form-group">
+                <label class="form-label" for="vaultPassphrase">Passphrase or PIN</label>
+                <input type="password" id="vaultPassphrase" class="form-input" autocomplete="current-password">
+            </div>
+            <p class="form-error hidden"></p>
+            <button type="submit" class="btn btn-primary btn-full btn-lg">Unlock</button>
+            <button type="button" class="btn btn-secondary btn-full mt-4">Sign Out</button>
+        </form>
+    `;
+    screen.querySelector('.auth-subtitle').textContent = 'Enter your passphrase to open ' + (user ? user.email : 'your data') + '.';
+    document.body.appendChild(screen);
+
+    const form = screen.querySelector('form');
+    const input = screen.querySelector('input');
+    const error = screen.querySelector('.form-error');
+    const submit = screen.querySelector('[type="submit"]');
+    input.focus();
+
+    screen.querySelector('.btn-secondary').addEventListener('click', () => this.signOut());
+
+    return new Promise(resolve => {
+        form.addEventListener('submit', async e => {
+            e.preventDefault();
+            submit.disabled = true;
+            try {
+                await this.useVaultKey(await this.deriveVaultKey(input.value));
+                this.vaultLocked = false;
+                screen.remove();
+                resolve();
+            } catch (err) {
+                error.textContent = err.message;
+                error.classList.remove('hidden');
+                input.value = '';
+                submit.disabled = false;
+            }
+        });
+    });
+};
@@ -1,52 +1,70 @@
 // Service Worker for AnomCAT PWA
-const CACHE_NAME = 'anomcat-v1.01';
+// Bump the version with each release: the new worker waits until the app
+// asks it to take over (see AnomCAT.registerServiceWorker)
+const CACHE_VERSION = 'v1.04';
+const CACHE_NAME = 'anomcat-' + CACHE_VERSION;
+const RUNTIME_CACHE = 'anomcat-runtime'; // Third-party scripts, kept across versions
+const OFFLINE_PAGE = 'offline.html';
+
+// Relative to the worker's scope, so the app also works from a subpath
+// such as a GitHub Pages project site
 const urlsToCache = [
-  '/',
-  '/index.html',
-  '/login.html',
-  '/register.html',
-  '/home.html',
-  '/wallet.html',
-  '/transactions.html',
-  '/analytics.html',
-  '/settings.html',
-  '/assets/css/style.css',
-  '/assets/js/app.js',
-  '/assets/data/chart-data.json',
-  '/assets/data/users.json',
-  '/manifest.json'
-];
+  './',
+  'index.html',
+  'login.html',
+  'register.html',
+  'home.html',
+  'wallet.html',
+  'transactions.html',
+  'analytics.html',
+  'settings.html',
+  'referral.html',
+  OFFLINE_PAGE,
+  'assets/css/style.css',
+  'assets/js/app.js',
+  'assets/js/storage.js',
+  'assets/js/crypto.js',
+  'assets/js/auth.js',
+  'assets/js/totp.js',
+  'assets/js/vault.js',
+  'assets/js/rates.js',
+  'assets/js/strategies.js',
+  'assets/js/orders.js',
+  'assets/js/notifications.js',
+  'assets/js/alerts.js',
+  'assets/js/swap.js',
+  'assets/js/transfers.js',
+  'assets/js/referrals.js',
+  'assets/js/backtest.js',
+  'assets/js/backup.js',
+  'assets/js/export.js',
+  'assets/js/tax.js',
+  'assets/data/chart-data.json',
+  'assets/data/users.json',
+  'data/mock_db.json',
+  'manifest.json'
+].map(url => new URL(url, self.registration.scope).href);
+
+// Scripts the pages load from CDNs (Chart.js, qrcode-generator)
+const RUNTIME_HOSTS = ['cdn.jsdelivr.net'];
 
 // Install service worker
 self.addEventListener('install', event => {
   event.waitUntil(
-    caches.open(CACHE_NAME)
-      .then(cache => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
-      })
-      .then(() => self.skipWaiting())
+    caches.open(CACHE_NAME).then(cache => cache.addAll(urlsToCache))
   );
 });
 
-// Fetch from cache
-self.addEventListener('fetch', event => {
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // Cache hit - return response
-        if (response) {
-          return response;
-        }
-        return fetch(event.request);
-      }
-    )
-  );
+// The page asks a waiting worker to take over once the user agrees
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
 });
 
 // Update service worker
 self.addEventListener('activate', event => {
-  const cacheWhitelist = [CACHE_NAME];
+  const cacheWhitelist = [CACHE_NAME, RUNTIME_CACHE];
   event.waitUntil(
     caches.keys().then(cacheNames => {
       return Promise.all(
@@ -59,3 +77,61 @@ self.addEventListener('activate', event => {
     }).then(() => self.clients.claim())
   );
 });
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  // Live data such as exchange rates (see assets/js/rates.js) skips the caches
+  if (request.method !== 'GET' || request.cache === 'no-store') return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    staleWhileRevalidate(event, CACHE_NAME);
+  } else if (RUNTIME_HOSTS.includes(url.hostname)) {
+    staleWhileRevalidate(event, RUNTIME_CACHE);
+  }
+  // Other requests go to the network as usual
+});
+
+// Answer from the cache right away and refresh it from the network for
+// the next visit; without a cached copy, wait for the network
+function staleWhileRevalidate(event, cacheName) {
+  const request = event.request;
+  event.respondWith(caches.open(cacheName).then(cache => {
+    // Pages are cached without their query, e.g. login.html?ref=...
+    return cache.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+      const network = fetch(request).then(response => {
+        // Cross-origin scripts without CORS come back opaque (status 0)
+        if (response.ok || response.type === 'opaque') {
+          cache.put(request, response.clone());
+        }
+        return response;
+      });
+
+      if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+      }
+      return network.catch(error => {
+        if (request.mode === 'navigate') {
+          return cache.match(new URL(OFFLINE_PAGE, self.registration.scope).href);
+        }
+        throw error;
+      });
+    });
+  }));
+}
+
+// Open the page a notification is about, reusing an open window
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || 'home.html';
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windowClients => {
+      const client = windowClients.find(c => 'focus' in c);
+      if (client) {
+        return client.navigate(url).then(c => (c || client).focus());
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
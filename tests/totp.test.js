@@ -0,0 +1,65 @@
+/**
+ * AnomCAT v1.01 - TOTP Tests
+ * Checks AnomCAT.totp against the test vectors of RFC 6238, Appendix B
+ * (8-digit codes for SHA-1, SHA-256 and SHA-512).
+ *
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// crypto.js and totp.js only need the AnomCAT object and Web Crypto. The
+// buffer types come from this realm so Web Crypto accepts them.
+const context = vm.createContext({
+    AnomCAT: {},
+    crypto: globalThis.crypto,
+    TextEncoder: TextEncoder,
+    ArrayBuffer: ArrayBuffer,
+    DataView: DataView,
+    Uint8Array: Uint8Array
+});
+['crypto.js', 'totp.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'assets', 'js', file), 'utf8'), context, { filename: file });
+});
+const totp = context.AnomCAT.totp;
+
+// The RFC's seeds are the ASCII digits "1234567890" repeated to the hash's output length
+function seed(length) {
+    return new TextEncoder().encode('1234567890'.repeat(7).slice(0, length));
+}
+
+const KEYS = {
+    'SHA-1': seed(20),
+    'SHA-256': seed(32),
+    'SHA-512': seed(64)
+};
+
+// Seconds since the epoch and the expected code for each hash
+const VECTORS = [
+    [59, { 'SHA-1': '94287082', 'SHA-256': '46119246', 'SHA-512': '90693936' }],
+    [1111111109, { 'SHA-1': '07081804', 'SHA-256': '68084774', 'SHA-512': '25091201' }],
+    [1111111111, { 'SHA-1': '14050471', 'SHA-256': '67062674', 'SHA-512': '99943326' }],
+    [1234567890, { 'SHA-1': '89005924', 'SHA-256': '91819424', 'SHA-512': '93441116' }],
+    [2000000000, { 'SHA-1': '69279037', 'SHA-256': '90698825', 'SHA-512': '38618901' }],
+    [20000000000, { 'SHA-1': '65353130', 'SHA-256': '77737706', 'SHA-512': '47863826' }]
+];
+
+Object.keys(KEYS).forEach(hash => {
+    test('RFC 6238 vectors, ' + hash, async () => {
+        const secret = totp.base32Encode(KEYS[hash]);
+        for (const [seconds, codes] of VECTORS) {
+            const code = await totp.generate(secret, seconds * 1000, { digits: 8, hash: hash });
+            assert.strictEqual(code, codes[hash], hash + ' at T=' + seconds);
+        }
+    });
+});
+
+test('base32 round trip', () => {
+    const bytes = seed(20);
+    assert.deepStrictEqual(Array.from(totp.base32Decode(totp.base32Encode(bytes))), Array.from(bytes));
+    assert.strictEqual(totp.base32Encode(seed(20)), 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+});